@@ -0,0 +1,163 @@
+// --- Closings archive (IndexedDB) ---
+// Every shared or confirmed Στέλνω is stored here as one record per day,
+// keyed by its ISO date (YYYY-MM-DD), so it survives Καθαρισμός and the drafts.
+// The safe (Χρηματοκιβώτιο) ledger lives in the same database, one record per movement,
+// and so do the expense receipt photos, which expense lines refer to by id,
+// and the audit log of every save of a closing (audit.js), keyed by [date, seq].
+// The whole database is read and replaced at once for backups (backup.js).
+
+const ARCHIVE_DB_NAME = 'tameio';
+const ARCHIVE_DB_VERSION = 4;
+const ARCHIVE_STORE = 'closings';
+const SAFE_STORE = 'safeLedger';
+const RECEIPT_STORE = 'receipts';
+const AUDIT_STORE = 'auditLog';
+
+// Every store, by the name a backup gives its records (backup.js)
+const BACKUP_STORES = { closings: ARCHIVE_STORE, safeLedger: SAFE_STORE, receipts: RECEIPT_STORE, auditLog: AUDIT_STORE };
+
+let archiveDbPromise = null;
+
+// Open (and create/upgrade) the archive database once per page
+function openArchiveDb() {
+    if (archiveDbPromise) return archiveDbPromise;
+
+    archiveDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ARCHIVE_STORE)) {
+                db.createObjectStore(ARCHIVE_STORE, { keyPath: 'date' });
+            }
+            // Added in version 2
+            if (!db.objectStoreNames.contains(SAFE_STORE)) {
+                db.createObjectStore(SAFE_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            // Added in version 3
+            if (!db.objectStoreNames.contains(RECEIPT_STORE)) {
+                db.createObjectStore(RECEIPT_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+            // Added in version 4
+            if (!db.objectStoreNames.contains(AUDIT_STORE)) {
+                db.createObjectStore(AUDIT_STORE, { keyPath: ['date', 'seq'] });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call if opening failed
+    archiveDbPromise.catch(() => { archiveDbPromise = null; });
+
+    return archiveDbPromise;
+}
+
+// Run a single request against an object store and resolve with its result
+async function archiveRequest(storeName, mode, makeRequest) {
+    const db = await openArchiveDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Insert or replace the closing for its date together with its new audit
+// log entries, all or nothing. Entries are only ever added: one whose
+// [date, seq] is taken fails the whole save.
+async function archivePutClosingWithAudit(closing, entries) {
+    const db = await openArchiveDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([ARCHIVE_STORE, AUDIT_STORE], 'readwrite');
+        tx.objectStore(ARCHIVE_STORE).put(closing);
+        const log = tx.objectStore(AUDIT_STORE);
+        entries.forEach(entry => log.add(entry));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Audit log of one day, oldest first
+function archiveGetAuditLog(date) {
+    const range = IDBKeyRange.bound([date, 0], [date, Infinity]);
+    return archiveRequest(AUDIT_STORE, 'readonly', store => store.getAll(range));
+}
+
+// Get a single closing by ISO date (undefined if missing)
+function archiveGetClosing(date) {
+    return archiveRequest(ARCHIVE_STORE, 'readonly', store => store.get(date));
+}
+
+// Get all closings, newest first
+async function archiveGetAllClosings() {
+    const closings = await archiveRequest(ARCHIVE_STORE, 'readonly', store => store.getAll());
+    return closings.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Add a safe ledger entry; resolves with its new id
+function archiveAddSafeEntry(entry) {
+    return archiveRequest(SAFE_STORE, 'readwrite', store => store.add(entry));
+}
+
+// Get all safe ledger entries, oldest first
+async function archiveGetSafeEntries() {
+    const entries = await archiveRequest(SAFE_STORE, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt - b.createdAt);
+}
+
+// Store a receipt photo ({ blob, createdAt }); resolves with its new id
+function archiveAddReceipt(receipt) {
+    return archiveRequest(RECEIPT_STORE, 'readwrite', store => store.add(receipt));
+}
+
+// Get a receipt photo by id (undefined if missing)
+function archiveGetReceipt(id) {
+    return archiveRequest(RECEIPT_STORE, 'readonly', store => store.get(id));
+}
+
+function archiveDeleteReceipt(id) {
+    return archiveRequest(RECEIPT_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Ids of all stored receipt photos
+function archiveGetReceiptIds() {
+    return archiveRequest(RECEIPT_STORE, 'readonly', store => store.getAllKeys());
+}
+
+// Every record of every store, for a backup: { closings, safeLedger, receipts, auditLog }
+async function archiveGetAllRecords() {
+    const db = await openArchiveDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(Object.values(BACKUP_STORES), 'readonly');
+        const requests = Object.entries(BACKUP_STORES).map(([key, storeName]) => [key, tx.objectStore(storeName).getAll()]);
+        tx.oncomplete = () => resolve(Object.fromEntries(requests.map(([key, request]) => [key, request.result])));
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Replace the whole archive with a backup's records, all or nothing
+async function archiveReplaceAllRecords(records) {
+    const db = await openArchiveDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(Object.values(BACKUP_STORES), 'readwrite');
+        for (const [key, storeName] of Object.entries(BACKUP_STORES)) {
+            const store = tx.objectStore(storeName);
+            store.clear();
+            records[key].forEach(record => store.put(record));
+        }
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
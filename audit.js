@@ -0,0 +1,210 @@
+// Audit log of archived closings
+// Every save of an archived closing appends to the day's log: one entry when
+// the day is first archived, then one per field that changed (form field IDs,
+// as in the history export) with the old and new value, who saved it and when.
+// Each entry holds the SHA-256 of the entry before it, so an edited, reordered
+// or dropped entry breaks the chain, and the hash of the closing's fields after
+// the change, so a closing altered without going through the log no longer
+// matches its last entry. The archived closing keeps the hash of the last
+// entry (auditHead), so entries cut off the end are noticed too.
+
+const TameioAudit = (() => {
+    const transfer = typeof TameioTransfer !== 'undefined' ? TameioTransfer : require('./transfer.js');
+
+    const EXPORT_FORMAT = 'tameio-audit';
+    const EXPORT_VERSION = 1;
+
+    // What the first entry of a day's log chains from
+    const GENESIS_HASH = '0'.repeat(64);
+
+    // Left out of the log and the closing hash: saving again only moves the save time
+    const UNTRACKED_FIELDS = new Set(['saved-at']);
+
+    // --- SHA-256 (FIPS 180-4) ---
+    // Written out rather than crypto.subtle, which is async and missing when
+    // the page is opened from a file or over plain HTTP.
+
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    // Hex SHA-256 of a string's UTF-8 bytes
+    function sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        // Message, the 0x80 marker, zero padding and the 64-bit bit length, in 64-byte blocks
+        const length = Math.ceil((bytes.length + 9) / 64) * 64;
+        const padded = new Uint8Array(length);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let t = 0; t < 16; t++) w[t] = view.getUint32(offset + t * 4);
+            for (let t = 16; t < 64; t++) {
+                const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                w[t] = (w[t - 16] + s0 + w[t - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let t = 0; t < 64; t++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[t] + w[t]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, index) => {
+                hash[index] = (hash[index] + value) >>> 0;
+            });
+        }
+        return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+    }
+
+    // --- Log ---
+
+    // A closing's fields as the log sees them: text values, sorted by field ID
+    function trackedFields(closing) {
+        const fields = {};
+        for (const [id, value] of Object.entries(transfer.closingFields(closing))) {
+            if (!UNTRACKED_FIELDS.has(id)) fields[id] = String(value ?? '');
+        }
+        return Object.fromEntries(Object.entries(fields).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    function closingHash(closing) {
+        return sha256(JSON.stringify(trackedFields(closing)));
+    }
+
+    // Fields that differ between two versions of a closing: [{ field, from, to }]
+    function diffClosings(before, after) {
+        const old = trackedFields(before);
+        const current = trackedFields(after);
+        const ids = [...new Set([...Object.keys(old), ...Object.keys(current)])].sort();
+        return ids
+            .filter(id => (old[id] ?? '') !== (current[id] ?? ''))
+            .map(id => ({ field: id, from: old[id] ?? '', to: current[id] ?? '' }));
+    }
+
+    // Hash of an entry over everything but the hash itself
+    function entryHash(entry) {
+        const { date, seq, at, user, action, field, from, to, closingHash: closing, prevHash } = entry;
+        return sha256(JSON.stringify([date, seq, at, user, action, field, from, to, closing, prevHash]));
+    }
+
+    // Entries to append to a day's log (oldest first) for saving `after` over
+    // `before` (null the first time): { user, at, action } say who, when and how
+    // ('save' or 'import'). Nothing to append when no field changed.
+    function buildEntries(log, before, after, { user, at, action }) {
+        const changes = before ? diffClosings(before, after) : [{ field: '', from: '', to: '' }];
+        const hash = closingHash(after);
+        let prevHash = log.length ? log[log.length - 1].hash : GENESIS_HASH;
+        let seq = log.length;
+
+        return changes.map(change => {
+            const entry = {
+                date: after.date,
+                seq: seq++,
+                at,
+                user: user || '',
+                action: before ? action : 'create',
+                ...change,
+                closingHash: hash,
+                prevHash
+            };
+            entry.hash = entryHash(entry);
+            prevHash = entry.hash;
+            return entry;
+        });
+    }
+
+    // Check a day's log against itself and the archived closing:
+    // 'ok', 'empty' (nothing logged), 'broken' (an entry was changed, reordered
+    // or removed; brokenAt is its position, the log's length when the end is
+    // missing) or 'mismatch' (the closing differs from what the last entry recorded)
+    function verifyLog(log, closing) {
+        if (!log.length) return { status: 'empty', brokenAt: null };
+
+        let prevHash = GENESIS_HASH;
+        for (const [index, entry] of log.entries()) {
+            if (entry.seq !== index || entry.prevHash !== prevHash || entry.hash !== entryHash(entry)) {
+                return { status: 'broken', brokenAt: index };
+            }
+            prevHash = entry.hash;
+        }
+        if (closing && closing.auditHead !== undefined && closing.auditHead !== prevHash) {
+            return { status: 'broken', brokenAt: log.length };
+        }
+
+        if (!closing || log[log.length - 1].closingHash !== closingHash(closing)) {
+            return { status: 'mismatch', brokenAt: null };
+        }
+        return { status: 'ok', brokenAt: null };
+    }
+
+    // --- Export ---
+
+    const CSV_COLUMNS = ['seq', 'at', 'user', 'action', 'field', 'from', 'to', 'closingHash', 'prevHash', 'hash'];
+
+    function csvCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // One row per entry, times as ISO strings, with a byte order mark like the history CSV
+    function toCsv(log) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const entry of log) {
+            const row = { ...entry, at: new Date(entry.at).toISOString() };
+            lines.push(CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+        }
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    // The log as stored, with the result of checking it when exported
+    function toJson(log, closing) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            date: closing ? closing.date : (log[0] && log[0].date),
+            verification: verifyLog(log, closing).status,
+            entries: log
+        }, null, 2);
+    }
+
+    return {
+        EXPORT_FORMAT,
+        EXPORT_VERSION,
+        GENESIS_HASH,
+        sha256,
+        closingHash,
+        diffClosings,
+        buildEntries,
+        verifyLog,
+        toCsv,
+        toJson
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TameioAudit;
+}
@@ -0,0 +1,249 @@
+// Encrypted backup of everything the app keeps on the device
+// One file with the localStorage keys (settings, drafts, shifts, theme) and
+// every record of the archive database (closings, safe ledger, receipt photos,
+// audit log). The contents are encrypted with AES-GCM under a key derived from
+// a passphrase with PBKDF2; the header (format, version, time, key derivation)
+// stays readable and is bound to the ciphertext, so a wrong passphrase or a
+// changed byte anywhere fails to decrypt. A SHA-256 of the contents is checked
+// again after decrypting, before anything is restored.
+
+const TameioBackup = (() => {
+    const BACKUP_FORMAT = 'tameio-backup';
+    const BACKUP_VERSION = 1;
+
+    const KDF_ITERATIONS = 310000;
+    // The header is only authenticated after the key is derived, so a file
+    // can't make that derivation run for minutes with a huge iteration count
+    const KDF_MAX_ITERATIONS = 10 * KDF_ITERATIONS;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    // Archive database version each store first appeared in (archive.js)
+    const ARCHIVE_STORES = {
+        closings: 1,
+        safeLedger: 2,
+        receipts: 3,
+        auditLog: 4
+    };
+
+    // WebCrypto only exists in secure contexts (https, localhost), unlike the
+    // plain-JS SHA-256 in audit.js
+    function getCrypto() {
+        if (typeof crypto !== 'undefined' && crypto.subtle) return crypto;
+        if (typeof require === 'function') return require('node:crypto').webcrypto;
+        return null;
+    }
+
+    function isSupported() {
+        return Boolean(getCrypto());
+    }
+
+    // --- Encoding ---
+
+    function bytesToBase64(bytes) {
+        let binary = '';
+        // In chunks: String.fromCharCode takes its bytes as arguments
+        for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function base64ToBytes(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async function sha256Hex(text) {
+        const digest = await getCrypto().subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // --- Contents ---
+
+    // What goes into a backup: localStorage as { key: text }, the archive's
+    // records per store (receipt photo blobs as base64) and the archive
+    // database version they were read from
+    async function buildContents({ local, archive, archiveVersion, createdAt = Date.now() }) {
+        const receipts = [];
+        for (const receipt of archive.receipts || []) {
+            const { blob, ...rest } = receipt;
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            receipts.push({ ...rest, type: blob.type, data: bytesToBase64(bytes) });
+        }
+        return {
+            createdAt,
+            archiveVersion,
+            local: { ...local },
+            archive: {
+                closings: archive.closings || [],
+                safeLedger: archive.safeLedger || [],
+                receipts,
+                auditLog: archive.auditLog || []
+            }
+        };
+    }
+
+    // Archive records to put back, with receipt photos as blobs again
+    function archiveRecords(contents) {
+        return {
+            ...contents.archive,
+            receipts: contents.archive.receipts.map(({ type, data, ...rest }) => ({
+                ...rest,
+                blob: new Blob([base64ToBytes(data)], { type })
+            }))
+        };
+    }
+
+    // Contents from an older app version in today's layout: stores the
+    // database didn't have yet start empty. Old localStorage keys (allValues
+    // and the rest) are restored as they are and moved into drafts by the app
+    // on its next start, as with any old installation.
+    function migrateContents(contents) {
+        const archive = { ...contents.archive };
+        for (const [store, since] of Object.entries(ARCHIVE_STORES)) {
+            if (archive[store] === undefined && (contents.archiveVersion || 1) < since) archive[store] = [];
+        }
+        const archiveVersion = Math.max(contents.archiveVersion || 1, ...Object.values(ARCHIVE_STORES));
+        return { ...contents, archiveVersion, archive };
+    }
+
+    // Errors in the shape of decrypted contents (empty when it can be restored)
+    function validateContents(contents) {
+        const errors = [];
+        if (!contents || typeof contents.local !== 'object' || !contents.archive) {
+            return ['Το αντίγραφο δεν έχει τη μορφή που αναμένεται'];
+        }
+        for (const [key, value] of Object.entries(contents.local)) {
+            if (typeof value !== 'string') errors.push(`Μη έγκυρη τιμή για το ${key}`);
+        }
+        for (const store of Object.keys(ARCHIVE_STORES)) {
+            if (!Array.isArray(contents.archive[store])) errors.push(`Λείπει το ${store}`);
+        }
+        if (errors.length) return errors;
+
+        const { closings, safeLedger, receipts, auditLog } = contents.archive;
+        if (closings.some(closing => !/^\d{4}-\d{2}-\d{2}$/.test(closing.date))) errors.push('Κλείσιμο χωρίς έγκυρη ημερομηνία');
+        if (safeLedger.some(entry => !Number.isInteger(entry.id))) errors.push('Κίνηση χρηματοκιβωτίου χωρίς αριθμό');
+        if (receipts.some(receipt => !Number.isInteger(receipt.id) || typeof receipt.data !== 'string')) errors.push('Φωτογραφία απόδειξης χωρίς δεδομένα');
+        if (auditLog.some(entry => typeof entry.date !== 'string' || !Number.isInteger(entry.seq))) errors.push('Εγγραφή αρχείου αλλαγών χωρίς ημερομηνία');
+        return errors;
+    }
+
+    // --- Encryption ---
+
+    async function deriveKey(passphrase, salt, iterations) {
+        const { subtle } = getCrypto();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // The readable part of the file, authenticated along with the ciphertext
+    function headerData(file) {
+        return new TextEncoder().encode(JSON.stringify([file.format, file.version, file.createdAt, file.kdf, file.cipher.iv]));
+    }
+
+    // The backup file's text for contents from buildContents
+    async function createBackup(contents, passphrase) {
+        const webcrypto = getCrypto();
+        const salt = webcrypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = webcrypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const file = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date(contents.createdAt).toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: bytesToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) }
+        };
+
+        const json = JSON.stringify(contents);
+        const plain = JSON.stringify({ checksum: await sha256Hex(json), contents: json });
+        const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+        const encrypted = await webcrypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: headerData(file) },
+            key,
+            new TextEncoder().encode(plain)
+        );
+        return JSON.stringify({ ...file, data: bytesToBase64(new Uint8Array(encrypted)) }, null, 2);
+    }
+
+    // Decrypt and check a backup file. Resolves to { contents, errors } like
+    // TameioTransfer.parseImport: contents (migrated to today's layout) only
+    // when nothing is wrong. archiveVersion is the database version of this
+    // app; backups from a newer one are refused.
+    async function openBackup(text, passphrase, archiveVersion) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return { contents: null, errors: ['Το αρχείο δεν είναι αντίγραφο ασφαλείας'] };
+        }
+        if (!file || file.format !== BACKUP_FORMAT || !file.kdf || !file.cipher || typeof file.data !== 'string') {
+            return { contents: null, errors: ['Το αρχείο δεν είναι αντίγραφο ασφαλείας'] };
+        }
+        if (file.version > BACKUP_VERSION) {
+            return { contents: null, errors: [`Το αντίγραφο είναι από νεότερη έκδοση (${file.version}) της εφαρμογής`] };
+        }
+        const { name, hash, iterations, salt } = file.kdf;
+        if (name !== 'PBKDF2' || hash !== 'SHA-256' || typeof salt !== 'string' ||
+            !Number.isInteger(iterations) || iterations < KDF_ITERATIONS || iterations > KDF_MAX_ITERATIONS) {
+            return { contents: null, errors: ['Μη υποστηριζόμενη κρυπτογράφηση αντιγράφου'] };
+        }
+
+        let plain;
+        try {
+            const key = await deriveKey(passphrase, base64ToBytes(salt), iterations);
+            const decrypted = await getCrypto().subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv), additionalData: headerData(file) },
+                key,
+                base64ToBytes(file.data)
+            );
+            plain = JSON.parse(new TextDecoder().decode(decrypted));
+        } catch (e) {
+            return { contents: null, errors: ['Λάθος φράση ή αλλοιωμένο αρχείο'] };
+        }
+
+        if (!plain || typeof plain.contents !== 'string' || plain.checksum !== await sha256Hex(plain.contents)) {
+            return { contents: null, errors: ['Το περιεχόμενο του αντιγράφου δεν επαληθεύεται'] };
+        }
+        const contents = migrateContents(JSON.parse(plain.contents));
+        if (contents.archiveVersion > archiveVersion) {
+            return { contents: null, errors: ['Το αντίγραφο είναι από νεότερη έκδοση της εφαρμογής'] };
+        }
+        const errors = validateContents(contents);
+        return errors.length ? { contents: null, errors } : { contents, errors: [] };
+    }
+
+    // --- Reminder ---
+
+    // Whether `days` (0 = never) have passed since the last backup (null: none yet)
+    function isBackupDue(lastBackupAt, days, now) {
+        if (!(days > 0)) return false;
+        return !lastBackupAt || now - lastBackupAt >= days * 24 * 60 * 60 * 1000;
+    }
+
+    return {
+        BACKUP_FORMAT,
+        BACKUP_VERSION,
+        isSupported,
+        buildContents,
+        archiveRecords,
+        migrateContents,
+        validateContents,
+        createBackup,
+        openBackup,
+        isBackupDue
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TameioBackup;
+}
@@ -0,0 +1,651 @@
+// Closing calculation engine
+// Pure functions over plain closing objects: no DOM, no storage. Loaded as a
+// classic script in the page (global TameioEngine) and with require() in Node.
+//
+// A closing passed to the engine looks like:
+// {
+//     counts: { 'bill-100': 3, 'coin-2': 10, ... },   // pieces per denomination
+//     exoda: [{ amount: 12.5, desc: 'Ψωμί', category: 'supplies', invoiceNo: '', receiptId: null }],
+//     expenseCategories: [{ id: 'supplies', label: 'Πρώτες ύλες' }],
+//     expressions: { 'bill-20': '20+20+40' },          // sums as typed, kept for review only
+//     channels: { wolt: 0, efood: 0, mypos: 0, eurobank: 0 },
+//     channelDefs: [{ id: 'wolt', label: 'WOLT', reducesCash: true, incomeLim: false, delivery: true }, ...],
+//     batches: [{ channel: 'mypos', terminal: 'Ταμείο', batchNo: '112', amount: 84.2 }],
+//     zReport: { gross: 480, cash: 300, card: 180, vat: { 24: 300, 13: 180 } },
+//     kermata: 0,
+//     float: { amount: 1000, kermata: 0 }
+// }
+//
+// channelDefs is optional; closings without it use DEFAULT_CHANNELS.
+// batches is optional; channel amounts already include their batches.
+// zReport is optional; fields left empty on the Z report are null.
+// float.kermata is optional: the ΚΕΡΜΑΤΑ a later shift of the day took over
+// with the drawer, already counted by the shift before it.
+
+const TameioEngine = (function () {
+    // Denomination field IDs and their values
+    const BILLS = ['bill-100', 'bill-50', 'bill-20', 'bill-10', 'bill-5'];
+    const COINS = ['coin-2', 'coin-1', 'coin-0-5', 'coin-0-2', 'coin-0-1', 'coin-0-05'];
+    const DENOMINATION_FIELDS = [...BILLS, ...COINS];
+
+    const DENOMINATION_VALUES = {
+        'bill-100': 100,
+        'bill-50': 50,
+        'bill-20': 20,
+        'bill-10': 10,
+        'bill-5': 5,
+        'coin-2': 2,
+        'coin-1': 1,
+        'coin-0-5': 0.5,
+        'coin-0-2': 0.2,
+        'coin-0-1': 0.1,
+        'coin-0-05': 0.05
+    };
+
+    // Standard packs counted as one unit: euro coin rolls and bundles of 100 notes
+    const COUNT_UNITS = {
+        'bill-100': { name: 'δεσμίδα', size: 100 },
+        'bill-50': { name: 'δεσμίδα', size: 100 },
+        'bill-20': { name: 'δεσμίδα', size: 100 },
+        'bill-10': { name: 'δεσμίδα', size: 100 },
+        'bill-5': { name: 'δεσμίδα', size: 100 },
+        'coin-2': { name: 'ρολό', size: 25 },
+        'coin-1': { name: 'ρολό', size: 25 },
+        'coin-0-5': { name: 'ρολό', size: 40 },
+        'coin-0-2': { name: 'ρολό', size: 40 },
+        'coin-0-1': { name: 'ρολό', size: 40 },
+        'coin-0-05': { name: 'ρολό', size: 50 }
+    };
+
+    // Float assumed when a closing doesn't carry one (the old fixed amount)
+    const DEFAULT_FLOAT = 1000;
+
+    // Payment channels before they became configurable. reducesCash: deducted from
+    // ΜΕΤΡΗΤΑ; incomeLim: added back into ΕΣΟΔΑ LIM; delivery: part of Σύνολο Delivery.
+    const DEFAULT_CHANNELS = [
+        { id: 'wolt', label: 'WOLT', reducesCash: true, incomeLim: false, delivery: true },
+        { id: 'efood', label: 'EFOOD', reducesCash: true, incomeLim: false, delivery: true },
+        { id: 'mypos', label: 'myPos', reducesCash: true, incomeLim: true, delivery: false },
+        { id: 'eurobank', label: 'Eurobank', reducesCash: true, incomeLim: true, delivery: false }
+    ];
+
+    // VAT rates printed on the fiscal Z report
+    const Z_VAT_RATES = [24, 13, 6];
+
+    // How each safe (Χρηματοκιβώτιο) ledger entry type moves the balance.
+    // Adjustments carry their own sign.
+    const SAFE_ENTRY_SIGNS = {
+        deposit: 1,       // envelope put in the safe
+        withdrawal: -1,   // taken out for change
+        'coin-rolls': 1,  // coin rolls bought into the safe
+        adjustment: 1     // manual correction, positive or negative
+    };
+
+    // Every envelope amount is solved in units of the smallest coin (5 cents)
+    const ENVELOPE_UNIT_CENTS = 5;
+
+    // Cost of putting one piece of a denomination in the envelope, per preference
+    const ENVELOPE_PREFERENCES = {
+        // Fewest pieces in the envelope
+        fewest: () => 1,
+        // Large notes first, so small notes and coins stay in the drawer for change
+        'keep-change': value => Math.round(100 / value)
+    };
+
+    // Cost of each piece taken from the minimum kept in the drawer. Much larger
+    // than any preference cost, so reserved pieces are only used when the exact
+    // amount can't be made otherwise, and then as few of them as possible.
+    const ENVELOPE_RESERVE_COST = 1e6;
+
+    // Round to whole cents, avoiding floating point artifacts like 0.30000000000000004
+    function roundMoney(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    }
+
+    // Value of an arithmetic expression typed into a field ('20+20+15,5', '3*50', '12.5').
+    // Numbers take a dot or comma as the decimal separator; +, -, * (or x, ×), / (or ÷)
+    // and parentheses are the only operators. Parsed by hand, never passed to eval.
+    // NaN if empty, malformed or dividing by zero.
+    function evaluateExpression(text) {
+        const source = String(text ?? '').replace(/\s+/g, '').replace(/,/g, '.').replace(/[x×]/gi, '*').replace(/÷/g, '/');
+        let pos = 0;
+
+        const fail = () => { throw new SyntaxError(`Unexpected input at ${pos}`); };
+
+        function number() {
+            const match = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(pos));
+            if (!match) fail();
+            pos += match[0].length;
+            return parseFloat(match[0]);
+        }
+
+        function factor() {
+            const char = source[pos];
+            if (char === '-' || char === '+') {
+                pos++;
+                return char === '-' ? -factor() : factor();
+            }
+            if (char === '(') {
+                pos++;
+                const value = sum();
+                if (source[pos] !== ')') fail();
+                pos++;
+                return value;
+            }
+            return number();
+        }
+
+        function product() {
+            let value = factor();
+            while (source[pos] === '*' || source[pos] === '/') {
+                const op = source[pos++];
+                const right = factor();
+                if (op === '/' && right === 0) fail();
+                value = op === '*' ? value * right : value / right;
+            }
+            return value;
+        }
+
+        function sum() {
+            let value = product();
+            while (source[pos] === '+' || source[pos] === '-') {
+                const op = source[pos++];
+                const right = product();
+                value = op === '+' ? value + right : value - right;
+            }
+            return value;
+        }
+
+        try {
+            const value = sum();
+            if (pos !== source.length) fail();
+            // Drop floating point noise (0.1+0.2) without rounding real fractions to cents
+            return Math.round(value * 1e6) / 1e6;
+        } catch (e) {
+            return NaN;
+        }
+    }
+
+    // True if a field value is an expression rather than a plain number
+    function isExpression(text) {
+        return !/^[-+]?[\d.,]*$/.test(String(text ?? '').trim());
+    }
+
+    // Parse a field value ('12.5', '', '3', '20+15,5') into a number (0 if empty or invalid)
+    function parseAmount(value) {
+        const number = evaluateExpression(value);
+        return isNaN(number) ? 0 : number;
+    }
+
+    // Piece counts from raw denomination field values, entered as amounts or counts
+    function countsFromValues(values, countMode) {
+        const counts = {};
+        for (const id of DENOMINATION_FIELDS) {
+            const raw = parseAmount(values[id]);
+            counts[id] = countMode ? Math.round(raw) : Math.round(raw / DENOMINATION_VALUES[id]);
+        }
+        return counts;
+    }
+
+    // Pieces of a denomination counted as whole rolls/bundles plus loose pieces
+    function piecesFromUnits(id, units, loose) {
+        return units * COUNT_UNITS[id].size + loose;
+    }
+
+    // Field text for a count made in units: '3*25+7' (or '3*50+14' as amounts),
+    // so the form keeps how it was counted as an expression
+    function unitCountText(id, units, loose, countMode) {
+        const factor = countMode ? 1 : DENOMINATION_VALUES[id];
+        const unitValue = roundMoney(COUNT_UNITS[id].size * factor);
+        const looseValue = roundMoney(loose * factor);
+        if (!units) return loose ? String(looseValue) : '';
+        return loose ? `${units}*${unitValue}+${looseValue}` : `${units}*${unitValue}`;
+    }
+
+    // Convert one denomination field value when switching between amount and count mode
+    function convertModeValue(value, id, toCountMode) {
+        const denom = DENOMINATION_VALUES[id];
+        if (toCountMode) {
+            // Amount → Count: divide by denomination
+            return Math.round(value / denom);
+        }
+        // Count → Amount: multiply by denomination, rounded to whole cents
+        return parseFloat((value * denom).toFixed(2));
+    }
+
+    // Field values typed in one mode as the other mode has them: only bill and
+    // coin fields change, and ones that don't work out stay as typed
+    function convertModeValues(values, fromCountMode, toCountMode) {
+        if (fromCountMode === toCountMode) return values;
+        const converted = { ...values };
+        for (const id of DENOMINATION_FIELDS) {
+            if (!values[id]) continue;
+            const value = evaluateExpression(values[id]);
+            if (isNaN(value) || value === 0) continue;
+            converted[id] = String(convertModeValue(value, id, toCountMode));
+        }
+        return converted;
+    }
+
+    function sumCounts(counts) {
+        let total = 0;
+        for (const id of DENOMINATION_FIELDS) {
+            total += (counts[id] || 0) * DENOMINATION_VALUES[id];
+        }
+        return roundMoney(total);
+    }
+
+    // Channel definitions a closing was entered with
+    function getChannelDefs(closing) {
+        return closing.channelDefs || DEFAULT_CHANNELS;
+    }
+
+    // Sum of the channel amounts whose definition has `flag` set
+    function sumChannels(closing, flag) {
+        const channels = closing.channels || {};
+        return getChannelDefs(closing)
+            .filter(def => def[flag])
+            .reduce((sum, def) => sum + (channels[def.id] || 0), 0);
+    }
+
+    // Exoda summed per category id, in the order the categories first appear.
+    // Lines without a category are summed under ''.
+    function sumExodaByCategory(exoda) {
+        const totals = {};
+        for (const exodo of exoda || []) {
+            if (!exodo.amount) continue;
+            const category = exodo.category || '';
+            totals[category] = roundMoney((totals[category] || 0) + exodo.amount);
+        }
+        return totals;
+    }
+
+    // Card terminal batch settlements summed per channel: { mypos: 184.2, ... }.
+    // Batches without a channel or amount are ignored.
+    function sumBatches(batches) {
+        const totals = {};
+        for (const batch of batches || []) {
+            if (!batch.channel || !batch.amount) continue;
+            totals[batch.channel] = roundMoney((totals[batch.channel] || 0) + batch.amount);
+        }
+        return totals;
+    }
+
+    // What a closing opened with: the float plus any ΚΕΡΜΑΤΑ handed over with it
+    function openingAmount(closing) {
+        if (!closing.float) return DEFAULT_FLOAT;
+        return closing.float.amount + (closing.float.kermata || 0);
+    }
+
+    // ΤΑΜΕΙΟ, ΕΞΟΔΑ, ΜΕΤΡΗΤΑ, ΜΕΤΡΗΤΑ LIM, ΕΣΟΔΑ LIM and Σύνολο Delivery for a closing
+    function computeTotals(closing) {
+        const channels = closing.channels || {};
+
+        const totalExoda = roundMoney((closing.exoda || []).reduce((sum, e) => sum + (e.amount || 0), 0));
+        const channelsTotal = Object.keys(channels).reduce((sum, id) => sum + (channels[id] || 0), 0);
+
+        // ΤΑΜΕΙΟ = bills + coins + ΚΕΡΜΑΤΑ + every channel + ΈΞΟΔΑ
+        const tameio = sumCounts(closing.counts || {}) + (closing.kermata || 0) + channelsTotal + totalExoda;
+
+        // ΜΕΤΡΗΤΑ = ΤΑΜΕΙΟ - (float + ΈΞΟΔΑ + channels that reduce ΜΕΤΡΗΤΑ)
+        const float = openingAmount(closing);
+        const cash = tameio - (float + totalExoda + sumChannels(closing, 'reducesCash'));
+
+        // ΜΕΤΡΗΤΑ LIM = ΜΕΤΡΗΤΑ + ΈΞΟΔΑ
+        const cashLim = cash + totalExoda;
+
+        // ΕΣΟΔΑ LIM = ΜΕΤΡΗΤΑ + ΈΞΟΔΑ + channels counted toward it (card terminals)
+        const incomeLim = cashLim + sumChannels(closing, 'incomeLim');
+
+        return {
+            tameio: roundMoney(tameio),
+            exoda: totalExoda,
+            cash: roundMoney(cash),
+            cashLim: roundMoney(cashLim),
+            incomeLim: roundMoney(incomeLim),
+            delivery: roundMoney(sumChannels(closing, 'delivery'))
+        };
+    }
+
+    // Compare the fiscal Z report with the counted closing. Each line has the
+    // computed amount, the Z report amount and diff = computed - reported
+    // (positive: over, negative: short). Only fields filled on the Z report are
+    // compared; returns null when the closing has no Z report.
+    //   gross: ΤΑΜΕΙΟ minus the opening float (everything taken in today)
+    //   cash:  ΜΕΤΡΗΤΑ LIM (cash in the drawer plus expenses paid from it)
+    //   card:  channels counted toward ΕΣΟΔΑ LIM (card terminals)
+    //   vat:   sum of the VAT rate rows against the Z gross total
+    function reconcileZReport(closing, totals = computeTotals(closing)) {
+        const z = closing.zReport;
+        if (!z) return null;
+
+        const float = openingAmount(closing);
+        const vatRows = Object.values(z.vat || {}).filter(amount => amount !== null);
+        const computed = {
+            gross: totals.tameio - float,
+            cash: totals.cashLim,
+            card: sumChannels(closing, 'incomeLim'),
+            vat: vatRows.reduce((sum, amount) => sum + amount, 0)
+        };
+        const reported = {
+            gross: z.gross,
+            cash: z.cash,
+            card: z.card,
+            vat: vatRows.length ? z.gross : null
+        };
+
+        const lines = [];
+        for (const key of Object.keys(computed)) {
+            if (reported[key] === null || reported[key] === undefined) continue;
+            lines.push({
+                key,
+                computed: roundMoney(computed[key]),
+                reported: roundMoney(reported[key]),
+                diff: roundMoney(computed[key] - reported[key])
+            });
+        }
+        return { lines, balanced: lines.every(line => line.diff === 0) };
+    }
+
+    // Signed effect of one safe ledger entry on the balance
+    function safeEntryAmount(entry) {
+        const sign = SAFE_ENTRY_SIGNS[entry.type] || 0;
+        return entry.type === 'adjustment' ? sign * entry.amount : sign * Math.abs(entry.amount);
+    }
+
+    // Expected safe balance from the ledger, up to and including `date` (ISO) if given
+    function safeBalance(entries, date) {
+        const total = entries
+            .filter(entry => !date || entry.date <= date)
+            .reduce((sum, entry) => sum + safeEntryAmount(entry), 0);
+        return roundMoney(total);
+    }
+
+    // Bounded change-making: pick pieces from `counts` that add up exactly to `amount`
+    // at the lowest preference cost, leaving at least `keep[id]` pieces in the drawer
+    // where possible. If no exact combination exists, the closest amount below it is
+    // used and the difference is reported as shortfall. `dipped` lists the pieces
+    // that had to come out of the kept minimum.
+    function solveEnvelope(counts, amount, preference = 'fewest', keep = {}) {
+        const pieceCost = ENVELOPE_PREFERENCES[preference] || ENVELOPE_PREFERENCES.fewest;
+        const target = Math.max(0, Math.floor(Math.round(amount * 100) / ENVELOPE_UNIT_CENTS));
+
+        // Split each denomination's free and reserved pieces into 1, 2, 4, ... piece bundles (0/1 items)
+        const items = [];
+        const free = {};
+        for (const id of DENOMINATION_FIELDS) {
+            const value = DENOMINATION_VALUES[id];
+            const units = Math.round(value * 100) / ENVELOPE_UNIT_CENTS;
+            const count = counts[id] || 0;
+            free[id] = Math.max(0, count - (keep[id] || 0));
+
+            const groups = [
+                { pieces: free[id], cost: pieceCost(value) },
+                { pieces: count - free[id], cost: ENVELOPE_RESERVE_COST }
+            ];
+            let budget = Math.floor(target / units);
+            for (const group of groups) {
+                let available = Math.min(group.pieces, budget);
+                budget -= available;
+                for (let bundle = 1; available > 0; bundle *= 2) {
+                    const pieces = Math.min(bundle, available);
+                    items.push({ id, pieces, units: pieces * units, cost: pieces * group.cost });
+                    available -= pieces;
+                }
+            }
+        }
+
+        // cost[a] = cheapest way to make a units; taken[i][a] = item i is part of it
+        const cost = new Float64Array(target + 1).fill(Infinity);
+        cost[0] = 0;
+        const taken = items.map(item => {
+            const flags = new Uint8Array(target + 1);
+            for (let a = target; a >= item.units; a--) {
+                const candidate = cost[a - item.units] + item.cost;
+                if (candidate < cost[a]) {
+                    cost[a] = candidate;
+                    flags[a] = 1;
+                }
+            }
+            return flags;
+        });
+
+        let reached = target;
+        while (reached > 0 && cost[reached] === Infinity) reached--;
+
+        // Walk the items backwards to recover the chosen pieces
+        const used = {};
+        let a = reached;
+        for (let i = items.length - 1; i >= 0 && a > 0; i--) {
+            if (taken[i][a]) {
+                used[items[i].id] = (used[items[i].id] || 0) + items[i].pieces;
+                a -= items[i].units;
+            }
+        }
+
+        const dipped = {};
+        for (const id of Object.keys(used)) {
+            if (used[id] > free[id]) dipped[id] = used[id] - free[id];
+        }
+
+        const total = reached * ENVELOPE_UNIT_CENTS / 100;
+        const shortfall = amount > 0 ? roundMoney(amount - total) : 0;
+        return { used, total, shortfall, dipped };
+    }
+
+    // Pieces left in the drawer after the envelope (ΜΕΝΟΥΝ)
+    function computeRemainder(counts, used) {
+        const remainder = {};
+        for (const id of DENOMINATION_FIELDS) {
+            remainder[id] = Math.max(0, (counts[id] || 0) - (used[id] || 0));
+        }
+        return remainder;
+    }
+
+    // Totals, envelope, remainder and Z report reconciliation for a closing in one call
+    function computeClosing(closing, options = {}) {
+        const totals = computeTotals(closing);
+        const envelope = solveEnvelope(closing.counts || {}, totals.cash, options.preference, options.keep);
+        const remainder = computeRemainder(closing.counts || {}, envelope.used);
+        const reconciliation = reconcileZReport(closing, totals);
+        return { totals, envelope, remainder, reconciliation };
+    }
+
+    // Combine the shifts of one day into a single closing for the daily report.
+    // Sales figures add up across shifts; the drawer (counts, ΚΕΡΜΑΤΑ and what
+    // stays in it) is the last shift's and the opening float is the first shift's.
+    // Later shifts open with the ΚΕΡΜΑΤΑ handed over (float.kermata), so the
+    // day counts them once. Each shift must carry its totals and envelope.
+    function rollUpShifts(shifts) {
+        const first = shifts[0];
+        const last = shifts[shifts.length - 1];
+        const sum = getValue => roundMoney(shifts.reduce((total, shift) => total + (getValue(shift) || 0), 0));
+
+        const channels = {};
+        const defs = new Map();
+        const categories = new Map();
+        const used = {};
+        const dipped = {};
+        for (const shift of shifts) {
+            for (const [id, amount] of Object.entries(shift.channels || {})) {
+                channels[id] = roundMoney((channels[id] || 0) + amount);
+            }
+            for (const def of getChannelDefs(shift)) defs.set(def.id, def);
+            for (const category of shift.expenseCategories || []) categories.set(category.id, category);
+            for (const [id, count] of Object.entries(shift.envelope.used)) used[id] = (used[id] || 0) + count;
+            for (const [id, count] of Object.entries(shift.envelope.dipped || {})) dipped[id] = (dipped[id] || 0) + count;
+        }
+
+        const closing = {
+            counts: last.counts,
+            exoda: shifts.flatMap(shift => shift.exoda || []),
+            expenseCategories: [...categories.values()],
+            channels,
+            channelDefs: [...defs.values()],
+            batches: shifts.flatMap(shift => shift.batches || []),
+            kermata: last.kermata,
+            float: first.float,
+            zReport: last.zReport || null
+        };
+
+        // ΤΑΜΕΙΟ = opening float + what every shift took in on top of its own float
+        const totals = {
+            tameio: roundMoney(openingAmount(first) + sum(shift => shift.totals.tameio - openingAmount(shift))),
+            exoda: sum(shift => shift.totals.exoda),
+            cash: sum(shift => shift.totals.cash),
+            cashLim: sum(shift => shift.totals.cashLim),
+            incomeLim: sum(shift => shift.totals.incomeLim),
+            delivery: sum(shift => shift.totals.delivery)
+        };
+
+        const envelope = {
+            used,
+            total: sum(shift => shift.envelope.total),
+            shortfall: sum(shift => shift.envelope.shortfall),
+            dipped
+        };
+
+        return {
+            ...closing,
+            totals,
+            envelope,
+            remainder: computeRemainder(last.counts, last.envelope.used),
+            reconciliation: reconcileZReport(closing, totals)
+        };
+    }
+
+    // --- Reporting periods ---
+    // Weeks run Monday to Sunday. Periods are identified by the ISO date of
+    // their first day; dates are handled in UTC so DST never shifts a day.
+
+    function dateFromIso(date) {
+        return new Date(`${date}T00:00:00Z`);
+    }
+
+    function isoFromDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    // First day of the week ('week') or month ('month') an ISO date falls in
+    function periodStart(date, period) {
+        if (period === 'month') return `${date.slice(0, 7)}-01`;
+        const day = dateFromIso(date);
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return isoFromDate(day);
+    }
+
+    // Start of the period `count` periods after (negative: before) the one starting at `start`
+    function shiftPeriod(start, period, count) {
+        const day = dateFromIso(start);
+        if (period === 'month') {
+            day.setUTCMonth(day.getUTCMonth() + count);
+        } else {
+            day.setUTCDate(day.getUTCDate() + count * 7);
+        }
+        return isoFromDate(day);
+    }
+
+    // Every ISO date of the period starting at `start`
+    function periodDays(start, period) {
+        const days = [];
+        const end = shiftPeriod(start, period, 1);
+        for (const day = dateFromIso(start); isoFromDate(day) < end; day.setUTCDate(day.getUTCDate() + 1)) {
+            days.push(isoFromDate(day));
+        }
+        return days;
+    }
+
+    // Figures of one archived closing for the reports. cashLim is the cash
+    // taken in, card the channels counted toward ΕΣΟΔΑ LIM (card terminals),
+    // float what the drawer opened with (part of tameio).
+    function dailyFigures(closing) {
+        const totals = closing.totals || computeTotals(closing);
+        const channels = {};
+        for (const def of getChannelDefs(closing)) {
+            channels[def.id] = roundMoney((closing.channels || {})[def.id] || 0);
+        }
+        return {
+            date: closing.date,
+            float: openingAmount(closing),
+            tameio: totals.tameio,
+            cash: totals.cash,
+            cashLim: totals.cashLim,
+            incomeLim: totals.incomeLim,
+            exoda: totals.exoda,
+            card: roundMoney(sumChannels(closing, 'incomeLim')),
+            delivery: totals.delivery ?? roundMoney(sumChannels(closing, 'delivery')),
+            channels,
+            categories: sumExodaByCategory(closing.exoda)
+        };
+    }
+
+    // Daily figures and their sums for the closings within one period. As in
+    // rollUpShifts, ΤΑΜΕΙΟ counts the opening float once: the first day's float
+    // plus what every day took in on top of its own.
+    function summarizePeriod(closings, start, period) {
+        const end = shiftPeriod(start, period, 1);
+        const days = closings
+            .filter(closing => closing.date >= start && closing.date < end)
+            .map(dailyFigures)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const summary = { start, period, days, tameio: 0, cash: 0, cashLim: 0, incomeLim: 0, exoda: 0, card: 0, delivery: 0, channels: {}, categories: {} };
+        if (days.length) {
+            summary.tameio = roundMoney(days[0].float + days.reduce((sum, day) => sum + day.tameio - day.float, 0));
+        }
+        for (const day of days) {
+            for (const key of ['cash', 'cashLim', 'incomeLim', 'exoda', 'card', 'delivery']) {
+                summary[key] = roundMoney(summary[key] + day[key]);
+            }
+            for (const [id, amount] of Object.entries(day.channels)) {
+                summary.channels[id] = roundMoney((summary.channels[id] || 0) + amount);
+            }
+            for (const [id, amount] of Object.entries(day.categories)) {
+                summary.categories[id] = roundMoney((summary.categories[id] || 0) + amount);
+            }
+        }
+        return summary;
+    }
+
+    return {
+        BILLS,
+        COINS,
+        DENOMINATION_FIELDS,
+        DENOMINATION_VALUES,
+        COUNT_UNITS,
+        DEFAULT_FLOAT,
+        DEFAULT_CHANNELS,
+        Z_VAT_RATES,
+        SAFE_ENTRY_TYPES: Object.keys(SAFE_ENTRY_SIGNS),
+        ENVELOPE_PREFERENCES: Object.keys(ENVELOPE_PREFERENCES),
+        roundMoney,
+        evaluateExpression,
+        isExpression,
+        parseAmount,
+        countsFromValues,
+        piecesFromUnits,
+        unitCountText,
+        convertModeValue,
+        convertModeValues,
+        sumCounts,
+        getChannelDefs,
+        sumExodaByCategory,
+        sumBatches,
+        computeTotals,
+        reconcileZReport,
+        safeEntryAmount,
+        safeBalance,
+        solveEnvelope,
+        computeRemainder,
+        computeClosing,
+        rollUpShifts,
+        periodStart,
+        shiftPeriod,
+        periodDays,
+        summarizePeriod
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TameioEngine;
+}
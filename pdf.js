@@ -0,0 +1,142 @@
+// --- PDF export ---
+// A one-page A4 PDF of the closing for filing, written by hand in the browser
+// with no library or external service. The document version of the report
+// (buildDocumentBlocks) and the attached Z receipt are drawn onto canvases and
+// embedded as JPEG images, so the Greek text needs no embedded font.
+//
+// Uses buildDocumentBlocks and drawReportCanvas from report.js.
+
+// A4 in points
+const PDF_PAGE_WIDTH = 595.28;
+const PDF_PAGE_HEIGHT = 841.89;
+const PDF_MARGIN = 36;
+const PDF_GAP = 18;
+// Share of the content width the report takes next to a receipt
+const PDF_REPORT_COLUMN = 0.56;
+// Receipt photos are scaled down to this many pixels on their longest side
+const PDF_RECEIPT_MAX_PIXELS = 2000;
+
+// Canvas as JPEG bytes with its pixel size
+async function canvasToJpeg(canvas) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+}
+
+// Photo redrawn onto a white canvas at most maxPixels on its longest side,
+// whatever format the camera saved (also used to compress expense receipts)
+async function photoToCanvas(file, maxPixels) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxPixels / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    if (bitmap.close) bitmap.close();
+    return canvas;
+}
+
+// Z receipt photo as JPEG for the PDF
+async function receiptToJpeg(file) {
+    return canvasToJpeg(await photoToCanvas(file, PDF_RECEIPT_MAX_PIXELS));
+}
+
+// Largest size with the image's aspect ratio that fits the box
+function fitImage(image, boxWidth, boxHeight) {
+    const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+    return { width: image.width * scale, height: image.height * scale };
+}
+
+// Position the images on the page (PDF origin is bottom-left): the report
+// alone across the page, or report and receipt side by side, both top-aligned
+function placePdfImages(report, receipt) {
+    const contentWidth = PDF_PAGE_WIDTH - PDF_MARGIN * 2;
+    const contentHeight = PDF_PAGE_HEIGHT - PDF_MARGIN * 2;
+    const top = PDF_PAGE_HEIGHT - PDF_MARGIN;
+
+    const reportWidth = receipt ? (contentWidth - PDF_GAP) * PDF_REPORT_COLUMN : contentWidth;
+    const reportSize = fitImage(report, reportWidth, contentHeight);
+    const placements = [{ image: report, x: PDF_MARGIN, y: top - reportSize.height, ...reportSize }];
+
+    if (receipt) {
+        const left = PDF_MARGIN + reportWidth + PDF_GAP;
+        const receiptSize = fitImage(receipt, PDF_PAGE_WIDTH - PDF_MARGIN - left, contentHeight);
+        placements.push({ image: receipt, x: left, y: top - receiptSize.height, ...receiptSize });
+    }
+    return placements;
+}
+
+// PDF text string as UTF-16BE hex, so Greek survives in the document title
+function pdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+// Assemble the PDF file from the placed JPEG images
+function buildPdf(placements, title) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (number, ...parts) => {
+        offsets[number] = length;
+        write(`${number} 0 obj\n`);
+        parts.forEach(write);
+        write('\nendobj\n');
+    };
+
+    // Objects: 1 catalog, 2 page tree, 3 page, 4 page content, 5 info, 6... images
+    const xObjects = placements.map((_, index) => `/Im${index + 1} ${6 + index} 0 R`).join(' ');
+    const content = placements
+        .map((p, index) => `q ${p.width.toFixed(2)} 0 0 ${p.height.toFixed(2)} ${p.x.toFixed(2)} ${p.y.toFixed(2)} cm /Im${index + 1} Do Q`)
+        .join('\n');
+
+    // Header; the second line's high bytes mark the file as binary
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+    object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] /Resources << /XObject << ${xObjects} >> >> /Contents 4 0 R >>`);
+    object(4, `<< /Length ${content.length} >>\nstream\n`, content, '\nendstream');
+    object(5, `<< /Title ${pdfTextString(title)} /Producer (Tameio) >>`);
+    placements.forEach((p, index) => {
+        object(
+            6 + index,
+            `<< /Type /XObject /Subtype /Image /Width ${p.image.width} /Height ${p.image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${p.image.bytes.length} >>\nstream\n`,
+            p.image.bytes,
+            '\nendstream'
+        );
+    });
+
+    // Cross-reference table: byte offset of every object
+    const size = 6 + placements.length;
+    const xref = length;
+    write(`xref\n0 ${size}\n0000000000 65535 f \n`);
+    for (let number = 1; number < size; number++) {
+        write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${size} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// One-page PDF of a closing, with the Z receipt photo when one is attached
+async function buildClosingPdf(closing, receiptFile, storeName) {
+    const title = storeName || 'Ταμείο';
+    const report = await canvasToJpeg(drawReportCanvas(buildDocumentBlocks(closing), title, 'print'));
+    const receipt = receiptFile ? await receiptToJpeg(receiptFile) : null;
+    return buildPdf(placePdfImages(report, receipt), [title, closing.userDate].filter(Boolean).join(' '));
+}
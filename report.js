@@ -0,0 +1,431 @@
+// --- Στέλνω report ---
+// The closing report as a list of blocks built from closing data alone. The
+// Στέλνω popup renders the blocks as HTML (buildStelnoHtml in script.js) and
+// sharing draws the same blocks onto a canvas with a fixed layout, so the
+// image doesn't depend on the on-screen modal, its scroll position or theme.
+// The PDF export (pdf.js) draws the longer document version of the blocks.
+//
+// Block types:
+//   { type: 'info', left, right }
+//   { type: 'row', label, value, style: 'sub' | 'total' (optional), flag, spaced }
+//   { type: 'section', title }
+//   { type: 'denoms', items: [{ count, label }] }
+//   { type: 'group', flag, blocks }   (boxed, highlighted when flag is set)
+//
+// Uses formatCurrency and formatDenomination from script.js.
+
+// Labels of the Z report reconciliation lines
+const Z_LINE_LABELS = {
+    gross: 'Σύνολο',
+    cash: 'Μετρητά',
+    card: 'Κάρτες',
+    vat: 'Άθροισμα ΦΠΑ'
+};
+
+// Over/short text for one reconciliation line
+function formatZDiff(diff) {
+    if (diff === 0) return '✓';
+    return `${diff > 0 ? '+' : ''}${formatCurrency(diff)} ${diff > 0 ? 'πλεόνασμα' : 'έλλειμμα'}`;
+}
+
+// Rows comparing the Z report with the closing
+function buildZReconcileBlocks(reconciliation) {
+    const blocks = [];
+    for (const line of reconciliation.lines) {
+        const source = line.key === 'vat' ? 'ΦΠΑ' : 'Ταμείο';
+        blocks.push({ type: 'row', label: Z_LINE_LABELS[line.key], value: formatZDiff(line.diff), flag: line.diff !== 0 });
+        blocks.push({ type: 'row', style: 'sub', label: `Ζ ${formatCurrency(line.reported)}`, value: `${source} ${formatCurrency(line.computed)}` });
+    }
+    return blocks;
+}
+
+// Non-zero piece counts as denomination items
+function denominationItems(counts, ids) {
+    return ids
+        .filter(id => (counts[id] || 0) > 0)
+        .map(id => ({ count: counts[id], label: formatDenomination(TameioEngine.DENOMINATION_VALUES[id]) }));
+}
+
+// Report blocks for a closing (live or archived)
+function buildReportBlocks(closing) {
+    const blocks = [];
+
+    // What goes in the envelope (closings archived before it was stored are re-solved)
+    const envelope = closing.envelope || TameioEngine.solveEnvelope(closing.counts, closing.totals.cash);
+
+    if (closing.name || closing.userDate) {
+        blocks.push({ type: 'info', left: closing.name || '', right: closing.userDate || '' });
+    }
+
+    blocks.push({ type: 'row', label: 'ΤΑΜΕΙΟ', value: formatCurrency(closing.totals.tameio) });
+    blocks.push({ type: 'row', label: 'ΜΕΤΡΗΤΑ', value: formatCurrency(closing.totals.cash) });
+    blocks.push({ type: 'row', label: 'ΕΞΟΔΑ', value: formatCurrency(closing.totals.exoda) });
+
+    blocks.push(...exodaBlocks(closing));
+    blocks.push(...channelBlocks(closing, false));
+    blocks.push(...floatBlocks(closing));
+
+    // Remaining bills and coins after fakelos (only non-zero)
+    const remainder = closing.remainder || TameioEngine.computeRemainder(closing.counts, envelope.used);
+    const remainingSections = [
+        { title: 'Χαρτονομίσματα', ids: TameioEngine.BILLS },
+        { title: 'Κέρματα', ids: TameioEngine.COINS }
+    ];
+    for (const section of remainingSections) {
+        const items = denominationItems(remainder, section.ids);
+        if (!items.length) continue;
+        blocks.push({ type: 'section', title: section.title });
+        blocks.push({ type: 'denoms', items });
+    }
+
+    blocks.push(...safeBlocks(closing));
+    blocks.push(...categoryBlocks(closing));
+    blocks.push(...shiftBlocks(closing));
+    blocks.push(...zReportBlocks(closing));
+
+    return blocks;
+}
+
+// Label of an expense category as stored with the closing
+function expenseCategoryLabel(closing, id) {
+    if (!id) return 'Χωρίς κατηγορία';
+    const category = (closing.expenseCategories || []).find(c => c.id === id);
+    return category ? category.label : id;
+}
+
+// Individual exoda breakdown (only non-zero)
+function exodaBlocks(closing) {
+    const blocks = [];
+    closing.exoda.forEach((exodo, index) => {
+        if (exodo.amount === 0) return;
+        const name = exodo.desc || (exodo.category && expenseCategoryLabel(closing, exodo.category)) || `Έξοδα ${index + 1}`;
+        const label = exodo.invoiceNo ? `${name} · Τιμ. ${exodo.invoiceNo}` : name;
+        blocks.push({ type: 'row', style: 'sub', label, value: formatCurrency(exodo.amount) });
+    });
+    return blocks;
+}
+
+// Exoda subtotals per category (only when at least one line has a category)
+function categoryBlocks(closing) {
+    const totals = TameioEngine.sumExodaByCategory(closing.exoda);
+    if (!Object.keys(totals).some(Boolean)) return [];
+    const blocks = [{ type: 'section', title: 'Έξοδα ανά κατηγορία' }];
+    for (const [id, amount] of Object.entries(totals)) {
+        blocks.push({ type: 'row', style: 'sub', label: expenseCategoryLabel(closing, id), value: formatCurrency(amount) });
+    }
+    return blocks;
+}
+
+// Payment channels with their per-terminal batches, then Σύνολο Delivery
+// (delivery channels, only if at least one is non-zero)
+function channelBlocks(closing, includeZero) {
+    const blocks = [];
+    for (const { id, label } of TameioEngine.getChannelDefs(closing)) {
+        const amount = closing.channels[id] || 0;
+        if (amount === 0 && !includeZero) continue;
+        blocks.push({ type: 'row', label, value: formatCurrency(amount) });
+
+        for (const batch of (closing.batches || []).filter(b => b.channel === id)) {
+            const batchLabel = [batch.terminal, batch.batchNo && `#${batch.batchNo}`].filter(Boolean).join(' ') || 'Batch';
+            blocks.push({ type: 'row', style: 'sub', label: batchLabel, value: formatCurrency(batch.amount) });
+        }
+    }
+
+    const totalDelivery = closing.totals.delivery ?? TameioEngine.computeTotals(closing).delivery;
+    if (totalDelivery > 0) {
+        blocks.push({ type: 'row', style: 'total', label: 'Σύνολο Delivery', value: formatCurrency(totalDelivery) });
+    }
+    return blocks;
+}
+
+// Opening float (closings archived before it was configurable used a fixed 1000€)
+function floatBlocks(closing) {
+    const float = closing.float || { amount: TameioEngine.DEFAULT_FLOAT, counts: null, register: '' };
+    const floatLabel = float.register ? `Αρχικό ταμείο (${float.register})` : 'Αρχικό ταμείο';
+    const blocks = [{ type: 'row', style: 'total', label: floatLabel, value: formatCurrency(float.amount) }];
+    if (float.counts) {
+        blocks.push({ type: 'denoms', items: denominationItems(float.counts, TameioEngine.DENOMINATION_FIELDS) });
+    }
+    return blocks;
+}
+
+// Χρηματοκιβώτιο (ΚΕΡΜΑΤΑ field value), flagged when it doesn't match the safe ledger
+function safeBlocks(closing) {
+    const safeDiff = closing.safeExpected != null && Math.abs(closing.kermata - closing.safeExpected) > 0.001;
+    const blocks = [{ type: 'row', label: 'Χρηματοκιβώτιο', value: formatCurrency(closing.kermata), flag: safeDiff, spaced: true }];
+    if (safeDiff) {
+        blocks.push({ type: 'row', style: 'sub', label: 'Βιβλίο χρηματοκιβωτίου', value: formatCurrency(closing.safeExpected) });
+    }
+    return blocks;
+}
+
+// Per-shift ΜΕΤΡΗΤΑ when the day was closed in several shifts
+function shiftBlocks(closing) {
+    if (!closing.shifts) return [];
+    const blocks = [{ type: 'section', title: 'Βάρδιες' }];
+    closing.shifts.forEach((shift, index) => {
+        blocks.push({ type: 'row', label: `${index + 1}. ${shift.name || 'Χωρίς όνομα'}`, value: formatCurrency(shift.totals.cash) });
+        blocks.push({ type: 'row', style: 'sub', label: `Αρχικό ${formatCurrency(shift.float.amount)}`, value: `Φάκελος ${formatCurrency(shift.envelope.total)}` });
+    });
+    return blocks;
+}
+
+// Z report reconciliation, highlighted when it doesn't balance
+function zReportBlocks(closing) {
+    if (!closing.reconciliation) return [];
+    return [{
+        type: 'group',
+        flag: !closing.reconciliation.balanced,
+        blocks: [{ type: 'section', title: 'Αναφορά Ζ' }, ...buildZReconcileBlocks(closing.reconciliation)]
+    }];
+}
+
+// Document version of the report for filing (PDF export): every total shown
+// on the form, all channels, and the full fakelos ΒΑΖΕΙΣ / ΜΕΝΟΥΝ breakdown
+function buildDocumentBlocks(closing) {
+    const blocks = [];
+    const { totals } = closing;
+    const envelope = closing.envelope || TameioEngine.solveEnvelope(closing.counts, totals.cash);
+    const remainder = closing.remainder || TameioEngine.computeRemainder(closing.counts, envelope.used);
+
+    if (closing.name || closing.userDate) {
+        blocks.push({ type: 'info', left: closing.name || '', right: closing.userDate || '' });
+    }
+
+    blocks.push({ type: 'section', title: 'Σύνολα' });
+    blocks.push({ type: 'row', label: 'ΤΑΜΕΙΟ', value: formatCurrency(totals.tameio) });
+    blocks.push({ type: 'row', label: 'ΣΥΝΟΛΟ ΕΞΟΔΩΝ', value: formatCurrency(totals.exoda) });
+    blocks.push({ type: 'row', label: 'ΜΕΤΡΗΤΑ', value: formatCurrency(totals.cash) });
+    blocks.push({ type: 'row', label: 'ΜΕΤΡΗΤΑ LIM', value: formatCurrency(totals.cashLim) });
+    blocks.push({ type: 'row', label: 'ΕΣΟΔΑ LIM', value: formatCurrency(totals.incomeLim) });
+
+    const exoda = exodaBlocks(closing);
+    if (exoda.length) {
+        blocks.push({ type: 'section', title: 'Έξοδα' });
+        blocks.push(...exoda);
+    }
+    blocks.push(...categoryBlocks(closing));
+
+    blocks.push({ type: 'section', title: 'Κανάλια πληρωμής' });
+    blocks.push(...channelBlocks(closing, true));
+
+    blocks.push({ type: 'section', title: 'Φάκελος · ΒΑΖΕΙΣ' });
+    const used = denominationItems(envelope.used, TameioEngine.DENOMINATION_FIELDS);
+    if (used.length) blocks.push({ type: 'denoms', items: used });
+    blocks.push({ type: 'row', style: 'total', label: 'Φάκελος', value: formatCurrency(envelope.total) });
+    if (envelope.shortfall > 0.001) {
+        blocks.push({ type: 'row', style: 'sub', label: 'Λείπουν', value: formatCurrency(envelope.shortfall), flag: true });
+    }
+
+    blocks.push({ type: 'section', title: 'ΜΕΝΟΥΝ' });
+    const left = denominationItems(remainder, TameioEngine.DENOMINATION_FIELDS);
+    if (left.length) blocks.push({ type: 'denoms', items: left });
+    blocks.push({ type: 'row', style: 'total', label: 'Μένουν στο συρτάρι', value: formatCurrency(TameioEngine.sumCounts(remainder)) });
+
+    blocks.push(...floatBlocks(closing));
+    blocks.push(...safeBlocks(closing));
+    blocks.push(...shiftBlocks(closing));
+    blocks.push(...zReportBlocks(closing));
+
+    return blocks;
+}
+
+// --- Canvas renderer ---
+
+const REPORT_WIDTH = 540;
+const REPORT_SCALE = 2;
+const REPORT_PADDING = 32;
+const REPORT_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Noto Sans", sans-serif';
+
+const REPORT_THEMES = {
+    light: {
+        background: '#fffaf1',
+        ink: '#1f2321',
+        muted: '#7a7c73',
+        rule: '#e0e0e0',
+        flag: '#c45236',
+        flagBackground: '#fff4ee',
+        flagBorder: '#e0a050'
+    },
+    dark: {
+        background: '#1c1c1e',
+        ink: '#f5f5f7',
+        muted: '#a1a1a6',
+        rule: '#3a3a3c',
+        flag: '#ff8a80',
+        flagBackground: '#3a2a1f',
+        flagBorder: '#ff9f0a'
+    },
+    // White paper for the PDF export
+    print: {
+        background: '#ffffff',
+        ink: '#000000',
+        muted: '#5f6159',
+        rule: '#c8c8c8',
+        flag: '#b3261e',
+        flagBackground: '#fff1ec',
+        flagBorder: '#d08a30'
+    }
+};
+
+// Text style, height and indent per block kind
+const REPORT_STYLES = {
+    title: { size: 24, weight: 700, height: 44 },
+    info: { size: 14, weight: 500, height: 26, muted: true },
+    row: { size: 16, weight: 600, height: 28 },
+    sub: { size: 14, weight: 400, height: 22, muted: true, indent: 12 },
+    total: { size: 16, weight: 600, height: 34 },
+    section: { size: 11, weight: 700, height: 28, muted: true },
+    denoms: { size: 15, weight: 500, height: 24 }
+};
+
+function reportFont(style) {
+    return `${style.weight} ${style.size}px ${REPORT_FONT}`;
+}
+
+// Shorten text with an ellipsis until it fits maxWidth
+function fitReportText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+}
+
+// Greek capitals drop their accents (Κέρματα -> ΚΕΡΜΑΤΑ)
+function upperCaseTitle(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+}
+
+// Lay the blocks out top to bottom. Returns draw operations with their
+// y positions and the total height; used once to size the canvas, once to draw.
+function layoutReport(ctx, blocks, title) {
+    const ops = [];
+    const contentWidth = REPORT_WIDTH - REPORT_PADDING * 2;
+    let y = REPORT_PADDING;
+
+    ops.push({ op: 'text', style: REPORT_STYLES.title, text: title, x: REPORT_PADDING, y });
+    y += REPORT_STYLES.title.height;
+
+    const place = (block, left, width) => {
+        if (block.type === 'group') {
+            // The box goes before its content so it's drawn underneath
+            const box = { op: 'box', flag: block.flag, x: left, y, width, height: 0 };
+            ops.push(box);
+            y += 6;
+            for (const inner of block.blocks) place(inner, left + 12, width - 24);
+            y += 6;
+            box.height = y - box.y;
+            return;
+        }
+
+        if (block.type === 'section') {
+            ops.push({ op: 'text', style: REPORT_STYLES.section, text: upperCaseTitle(block.title), x: left, y: y + 8 });
+            y += REPORT_STYLES.section.height;
+            return;
+        }
+
+        if (block.type === 'info') {
+            ops.push({ op: 'pair', style: REPORT_STYLES.info, left: block.left, right: block.right, x: left, width, y });
+            y += REPORT_STYLES.info.height;
+            return;
+        }
+
+        if (block.type === 'denoms') {
+            // Wrap "3×50€ · 2×20€ · ..." onto as many lines as needed
+            const style = REPORT_STYLES.denoms;
+            ctx.font = reportFont(style);
+            const parts = block.items.map(item => `${item.count}×${item.label}`);
+            let line = '';
+            for (const part of parts) {
+                const candidate = line ? `${line} · ${part}` : part;
+                if (line && ctx.measureText(candidate).width > width) {
+                    ops.push({ op: 'text', style, text: line, x: left, y });
+                    y += style.height;
+                    line = part;
+                } else {
+                    line = candidate;
+                }
+            }
+            if (line) {
+                ops.push({ op: 'text', style, text: line, x: left, y });
+                y += style.height;
+            }
+            return;
+        }
+
+        // row
+        const style = REPORT_STYLES[block.style] || REPORT_STYLES.row;
+        if (block.spaced) y += 6;
+        if (block.style === 'total') {
+            ops.push({ op: 'rule', x: left, y: y + 2, width });
+            y += 6;
+        }
+        const indent = style.indent || 0;
+        ops.push({ op: 'pair', style, left: block.label, right: block.value, x: left + indent, width: width - indent, y, flag: block.flag });
+        y += style.height;
+    };
+
+    for (const block of blocks) place(block, REPORT_PADDING, contentWidth);
+
+    return { ops, height: y + REPORT_PADDING };
+}
+
+// Draw the report for a closing onto a new canvas ('light' or 'dark')
+function renderReportCanvas(closing, themeName = 'light') {
+    return drawReportCanvas(buildReportBlocks(closing), 'Ταμείο', themeName);
+}
+
+// Draw any list of report blocks under a title onto a new canvas
+function drawReportCanvas(blocks, title, themeName) {
+    const theme = REPORT_THEMES[themeName] || REPORT_THEMES.light;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const { ops, height } = layoutReport(ctx, blocks, title);
+
+    canvas.width = REPORT_WIDTH * REPORT_SCALE;
+    canvas.height = Math.ceil(height * REPORT_SCALE);
+    ctx.scale(REPORT_SCALE, REPORT_SCALE);
+    ctx.textBaseline = 'top';
+
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, REPORT_WIDTH, height);
+
+    for (const op of ops) {
+        if (op.op === 'box') {
+            if (!op.flag) continue;
+            ctx.fillStyle = theme.flagBackground;
+            ctx.fillRect(op.x, op.y, op.width, op.height);
+            ctx.strokeStyle = theme.flagBorder;
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(op.x, op.y, op.width, op.height);
+            continue;
+        }
+
+        if (op.op === 'rule') {
+            ctx.fillStyle = theme.rule;
+            ctx.fillRect(op.x, op.y, op.width, 1);
+            continue;
+        }
+
+        ctx.font = reportFont(op.style);
+        ctx.fillStyle = op.flag ? theme.flag : op.style.muted ? theme.muted : theme.ink;
+
+        if (op.op === 'text') {
+            ctx.textAlign = 'left';
+            ctx.fillText(fitReportText(ctx, op.text, REPORT_WIDTH - REPORT_PADDING - op.x), op.x, op.y);
+            continue;
+        }
+
+        // pair: label on the left, value on the right
+        const rightWidth = ctx.measureText(op.right).width;
+        ctx.textAlign = 'right';
+        ctx.fillText(op.right, op.x + op.width, op.y);
+        ctx.textAlign = 'left';
+        ctx.fillText(fitReportText(ctx, op.left, op.width - rightWidth - 16), op.x, op.y);
+    }
+
+    return canvas;
+}
@@ -14,28 +14,77 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Currency denominations and other fields
 const denominations = {
-    bills: ['bill-100', 'bill-50', 'bill-20', 'bill-10', 'bill-5'],
-    coins: ['coin-2', 'coin-1', 'coin-0-5', 'coin-0-2', 'coin-0-1', 'coin-0-05'],
-    other: ['kermata', 'wolt', 'efood', 'mypos', 'eurobank']
+    bills: TameioEngine.BILLS,
+    coins: TameioEngine.COINS,
+    other: ['kermata']
 };
 
 // Denomination values map (shared across functions)
-const denominationValues = {
-    'bill-100': 100,
-    'bill-50': 50,
-    'bill-20': 20,
-    'bill-10': 10,
-    'bill-5': 5,
-    'coin-2': 2,
-    'coin-1': 1,
-    'coin-0-5': 0.5,
-    'coin-0-2': 0.2,
-    'coin-0-1': 0.1,
-    'coin-0-05': 0.05
-};
+const denominationValues = TameioEngine.DENOMINATION_VALUES;
 
 // All denomination field IDs (bills + coins)
-const denominationFields = [...denominations.bills, ...denominations.coins];
+const denominationFields = TameioEngine.DENOMINATION_FIELDS;
+
+// Opening float count fields (always in pieces), one per denomination.
+// Field IDs are shared with the history export (transfer.js).
+const floatFields = TameioTransfer.FLOAT_FIELDS;
+
+// Fiscal Z report fields: totals, cash/card split and one gross amount per VAT rate
+const zFields = TameioTransfer.Z_FIELDS;
+
+// Float assumed for closings archived before floats were configurable
+const LEGACY_FLOAT = TameioEngine.DEFAULT_FLOAT;
+
+// Settings persisted in localStorage (registers, channels, fakelos policy)
+const DEFAULT_SETTINGS = {
+    // Shown at the top of the PDF export
+    storeName: '',
+    registers: [
+        { id: 'main', name: 'Ταμείο 1', float: LEGACY_FLOAT, floatCounted: false }
+    ],
+    activeRegister: 'main',
+    // Payment channels in display order; retired ones are kept so their IDs aren't reused
+    channels: TameioEngine.DEFAULT_CHANNELS.map(channel => ({ ...channel, retired: false })),
+    // Expense categories in display order; retired ones are kept so their IDs aren't reused
+    expenseCategories: [
+        { id: 'supplies', label: 'Πρώτες ύλες', retired: false },
+        { id: 'drinks', label: 'Ποτά & αναψυκτικά', retired: false },
+        { id: 'cleaning', label: 'Καθαριότητα', retired: false },
+        { id: 'bills', label: 'Λογαριασμοί', retired: false },
+        { id: 'wages', label: 'Μεροκάματα', retired: false },
+        { id: 'other', label: 'Λοιπά', retired: false }
+    ],
+    // Suppliers offered when typing an expense description, with their usual category
+    expensePresets: [],
+    // Short vibration on each tap in the tap-to-count counters
+    tallyHaptics: true,
+    // Days an untouched draft is kept before it's thrown away (0 = until finalized or discarded)
+    draftRetentionDays: 14,
+    // Local users with a PIN, role 'cashier' or 'manager' (none: no login, nothing locked)
+    profiles: [],
+    // Days without a backup before reminding a manager to take one (0 = never)
+    backupReminderDays: 0,
+    envelopePreference: 'fewest',
+    // Minimum pieces per denomination to leave in the drawer for tomorrow's change
+    envelopeKeep: {}
+};
+
+let settings = null;
+
+// Logged-in user (null before login and when no users are set up)
+let activeProfile = null;
+
+// Settles the manager approval prompt that's open
+let approvalResolve = null;
+
+// Manager-only settings opened with a manager's PIN, until the settings close
+let settingsUnlocked = false;
+
+// What the last archived closing before the form's date left in the drawer: { date, counts }
+let previousRemainder = null;
+
+// Safe (Χρηματοκιβώτιο) ledger entries, oldest first
+let safeEntries = [];
 
 // Count mode state
 let isCountMode = false;
@@ -43,6 +92,35 @@ let isCountMode = false;
 // Track current number of exoda fields
 let currentExodaCount = 1;
 
+// Past expense descriptions from the archive, newest first: [{ desc, category }]
+let exodaHistory = [];
+
+// Expense receipt photos are stored as JPEGs at most this many pixels on their longest side
+const RECEIPT_PHOTO_MAX_PIXELS = 1600;
+const RECEIPT_PHOTO_QUALITY = 0.8;
+
+// Object URLs of the receipt thumbnails on screen, revoked when they're closed
+let receiptThumbUrls = [];
+
+// Track current number of card terminal batch fields
+let currentBatchCount = 0;
+
+// Undo/redo for the date in the form: snapshots of the form
+// ({ values, exodaCount, batchCount, countMode, shifts }), the current one kept apart
+const UNDO_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+let currentSnapshot = null;
+
+// Earlier values of each field for the history popover, kept in the date's draft:
+// { fieldId: [{ from, to, at, countMode }] }, oldest first. countMode is the
+// mode a bill or coin field's earlier value was typed in.
+const FIELD_HISTORY_LIMIT = 20;
+let fieldHistory = {};
+
+// Field the edit bar's history button opens (the last one focused)
+let fieldHistoryTarget = null;
+
 // Cache DOM elements
 let cachedInputs = {};
 let cachedOutputs = {};
@@ -63,7 +141,7 @@ function debounce(func, wait) {
 // Initialize event listeners
 function init() {
     // Add input listeners for all fields
-    const allFields = [...denominations.bills, ...denominations.coins, ...denominations.other];
+    const allFields = [...denominations.bills, ...denominations.coins, ...denominations.other, ...zFields];
 
     // Cache all input elements
     allFields.forEach(id => {
@@ -107,29 +185,87 @@ function init() {
     // Add save listeners for name and date fields
     cachedInputs['user-name'].addEventListener('input', () => debouncedSave());
 
-    // Restore exoda count and values from localStorage
-    const savedExodaCount = localStorage.getItem('exodaCount');
-    const exodaCountDropdown = document.getElementById('exoda-count');
+    // Load settings and build the opening float count fields
+    settings = loadSettings();
+    createFloatFields();
+    floatFields.forEach(id => {
+        cachedInputs[id].addEventListener('input', (e) => {
+            handleCommaInput(e);
+            validateInput(id);
+            debouncedUpdate();
+            debouncedSave();
+        });
+    });
+
+    // A single expense line until a draft says otherwise
+    createExodaFields(1);
 
-    if (savedExodaCount) {
-        exodaCountDropdown.value = savedExodaCount;
-    }
+    // Build the payment channel inputs from settings
+    createChannelFields();
 
-    const initialCount = parseInt(exodaCountDropdown.value) || 1;
-    createExodaFields(initialCount);
+    // Card terminal batches (the count is kept in the date's draft)
+    const batchCountDropdown = document.getElementById('batch-count');
+    createBatchFields(parseInt(batchCountDropdown.value) || 0);
 
-    // Add listener for exoda count dropdown
-    exodaCountDropdown.addEventListener('change', (e) => {
+    batchCountDropdown.addEventListener('change', (e) => {
         const count = parseInt(e.target.value);
-        localStorage.setItem('exodaCount', count);
-        createExodaFields(count);
+        createBatchFields(count);
         updateTotals();
+        saveAllValues();
+    });
+
+    document.getElementById('exoda-add').addEventListener('click', addExodaLine);
+
+    // Typed sums show their result once the field is left and come back for editing
+    document.addEventListener('focusin', (e) => {
+        if (isNumericField(e.target) && e.target.dataset.expression) {
+            e.target.value = e.target.dataset.expression;
+        }
+        if (isEditableField(e.target)) {
+            fieldHistoryTarget = e.target.id;
+            updateUndoButtons();
+        }
+    });
+    document.addEventListener('focusout', (e) => {
+        if (!isEditableField(e.target)) return;
+        if (isNumericField(e.target)) setFieldText(e.target, e.target.value);
+        saveAllValues();
+        recordEdit();
+    });
+
+    // Undo/redo and the per-field history
+    document.getElementById('undo-btn').addEventListener('click', undoEdit);
+    document.getElementById('redo-btn').addEventListener('click', redoEdit);
+    document.getElementById('field-history-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (fieldHistoryTarget) showFieldHistory(fieldHistoryTarget);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoEdit();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            redoEdit();
+        }
+    });
+    document.addEventListener('contextmenu', (e) => {
+        if (isEditableField(e.target) && fieldHistory[e.target.id]) {
+            e.preventDefault();
+            showFieldHistory(e.target.id);
+        }
     });
+    initFieldHistoryPopover();
 
     // Save all values to localStorage on page hide (when switching apps)
     window.addEventListener('pagehide', saveAllValues);
 
-    // Restore all field values from localStorage
+    // Log the user of this session back in, or ask who's at the register
+    restoreSession();
+
+    // Reopen the draft of the date last worked on
     restoreAllValues();
 
     // Button listeners
@@ -139,35 +275,113 @@ function init() {
     document.getElementById('stelno-btn').addEventListener('click', showStelno);
     document.getElementById('stelno-close').addEventListener('click', closeStelno);
     document.getElementById('stelno-share').addEventListener('click', shareStelno);
+    document.getElementById('stelno-pdf').addEventListener('click', exportStelnoPdf);
+    document.getElementById('stelno-save').addEventListener('click', confirmStelno);
     document.getElementById('stelno-overlay').addEventListener('click', (e) => {
         if (e.target === e.currentTarget) closeStelno();
     });
+    document.getElementById('shift-close-btn').addEventListener('click', closeShift);
+    document.getElementById('float-fill').addEventListener('click', fillFloatFromExpected);
+    document.getElementById('settings-toggle').addEventListener('click', showSettings);
+    document.getElementById('settings-close').addEventListener('click', closeSettings);
+    document.getElementById('settings-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeSettings();
+    });
+    document.getElementById('safe-btn').addEventListener('click', showSafe);
+    document.getElementById('safe-close').addEventListener('click', closeSafe);
+    document.getElementById('safe-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeSafe();
+    });
+    document.getElementById('history-btn').addEventListener('click', showHistory);
+    document.getElementById('history-close').addEventListener('click', closeHistory);
+    document.getElementById('history-compare').addEventListener('click', renderHistoryCompare);
+    document.getElementById('history-export-csv').addEventListener('click', () => exportHistory('csv'));
+    document.getElementById('history-export-json').addEventListener('click', () => exportHistory('json'));
+    document.getElementById('history-import-input').addEventListener('change', importHistory);
+    document.getElementById('history-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeHistory();
+    });
+    document.getElementById('mode-tally').addEventListener('click', showTally);
+    document.getElementById('tally-apply').addEventListener('click', applyTally);
+    document.getElementById('tally-close').addEventListener('click', closeTally);
+    document.getElementById('tally-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeTally();
+    });
+    document.getElementById('reports-btn').addEventListener('click', showReports);
+    document.getElementById('reports-close').addEventListener('click', closeReports);
+    document.getElementById('reports-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeReports();
+    });
+    document.getElementById('drafts-btn').addEventListener('click', showDrafts);
+    document.getElementById('drafts-close').addEventListener('click', closeDrafts);
+    document.getElementById('drafts-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeDrafts();
+    });
+    document.getElementById('profile-btn').addEventListener('click', () => {
+        if (activeProfile && confirm(`Αποσύνδεση του χρήστη ${activeProfile.name};`)) logOut();
+    });
+    document.getElementById('login-submit').addEventListener('click', submitLogin);
+    document.getElementById('login-pin').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitLogin();
+    });
+    document.getElementById('approval-submit').addEventListener('click', submitApproval);
+    document.getElementById('approval-cancel').addEventListener('click', () => finishApproval(false));
+    document.getElementById('approval-pin').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitApproval();
+    });
+    document.getElementById('approval-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) finishApproval(false);
+    });
+    document.getElementById('backup-close').addEventListener('click', closeBackup);
+    document.getElementById('backup-overlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) closeBackup();
+    });
+    document.getElementById('backup-restore-input').addEventListener('change', restoreBackup);
+    document.getElementById('backup-reminder-open').addEventListener('click', showBackup);
+    document.getElementById('backup-reminder-later').addEventListener('click', () => {
+        sessionStorage.setItem('backupReminderSnoozed', '1');
+        updateBackupReminder();
+    });
 
     // Load saved theme preference
     loadTheme();
 
+    updateShiftLabel();
+
     // Initial calculation
     updateTotals();
+
+    // Offer what the previous closing left in the drawer as the opening count
+    loadPreviousRemainder();
+
+    // Expected safe balance for the ΚΕΡΜΑΤΑ check
+    loadSafeLedger();
+
+    // Past expense descriptions for autocomplete
+    loadExodaHistory();
+
+    // Receipt photos no draft or closing refers to any more
+    sweepReceiptPhotos();
 }
 
-// Handle comma as decimal separator and filter non-numeric input
+// Handle comma as decimal separator and filter input down to numbers and
+// arithmetic (20+20+15.5, 3*50), evaluated by TameioEngine.evaluateExpression
 function handleCommaInput(event) {
     const input = event.target;
     const cursorPosition = input.selectionStart;
     let value = input.value;
 
-    // Replace commas with dots
-    value = value.replace(/,/g, '.');
+    // Replace commas with dots and the multiply/divide signs with * and /
+    value = value.replace(/,/g, '.').replace(/[x×]/gi, '*').replace(/÷/g, '/');
 
-    // Allow only numbers, dots, and minus sign at the beginning
-    // Remove any characters that aren't digits, dots, or minus
-    value = value.replace(/[^\d.-]/g, '');
+    // Remove any characters that aren't digits, dots, operators or parentheses
+    value = value.replace(/[^\d.+\-*/()]/g, '');
 
-    // Ensure only one dot
-    const parts = value.split('.');
-    if (parts.length > 2) {
-        value = parts[0] + '.' + parts.slice(1).join('');
-    }
+    // Ensure only one dot per number
+    value = value.split(/([+\-*/()])/).map(part => {
+        const [whole, ...decimals] = part.split('.');
+        return decimals.length > 1 ? `${whole}.${decimals.join('')}` : part;
+    }).join('');
 
     // Update the input value
     input.value = value;
@@ -176,6 +390,42 @@ function handleCommaInput(event) {
     input.setSelectionRange(cursorPosition, cursorPosition);
 }
 
+// Amount and count fields of the form (the ones that take expressions)
+function isNumericField(element) {
+    return element instanceof HTMLInputElement && !!element.form &&
+        (element.inputMode === 'decimal' || element.inputMode === 'numeric');
+}
+
+// A field as typed: its expression if it has one, otherwise its value
+function getFieldText(input) {
+    return input.dataset.expression || input.value;
+}
+
+// Fill a field with typed text. An amount or count field given an expression
+// keeps it (shown on hover and when focused) and displays its result.
+function setFieldText(input, text) {
+    input.value = text;
+    const result = isNumericField(input) && TameioEngine.isExpression(text) ? TameioEngine.evaluateExpression(text) : NaN;
+    if (!isNaN(result)) {
+        input.dataset.expression = text;
+        input.value = String(result);
+        input.title = `${text} = ${input.value}`;
+    } else if (input.dataset.expression) {
+        delete input.dataset.expression;
+        input.removeAttribute('title');
+    }
+    input.classList.toggle('has-expression', !isNaN(result));
+}
+
+// Expressions typed into the form's fields: { fieldId: '20+20+15.5' }
+function readFieldExpressions() {
+    const expressions = {};
+    for (const [id, input] of Object.entries(cachedInputs)) {
+        if (input.dataset.expression && input.isConnected) expressions[id] = input.dataset.expression;
+    }
+    return expressions;
+}
+
 // Toggle between amount mode and count mode
 function toggleInputMode(countMode) {
     if (isCountMode === countMode) return;
@@ -184,20 +434,10 @@ function toggleInputMode(countMode) {
     denominationFields.forEach(id => {
         const input = cachedInputs[id];
         if (!input || !input.value) return;
-        const val = parseFloat(input.value);
+        const val = TameioEngine.evaluateExpression(input.value);
         if (isNaN(val) || val === 0) return;
 
-        const denom = denominationValues[id];
-        if (countMode) {
-            // Amount → Count: divide by denomination
-            const count = Math.round(val / denom);
-            input.value = count;
-        } else {
-            // Count → Amount: multiply by denomination
-            const amount = val * denom;
-            // Round to avoid floating point artifacts
-            input.value = parseFloat(amount.toFixed(2));
-        }
+        setFieldText(input, String(TameioEngine.convertModeValue(val, id, countMode)));
     });
 
     isCountMode = countMode;
@@ -213,29 +453,31 @@ function toggleInputMode(countMode) {
     saveAllValues();
 }
 
-// Create dynamic exoda input fields
+// Field IDs of one expense line; the receipt photo id stays out of the CSV export
+function getExodaFieldIds(i) {
+    return [...TameioTransfer.exodaFieldIds(i), `exoda-receipt-${i}`];
+}
+
+// Expense categories offered in the form (not retired), in display order
+function getActiveExpenseCategories() {
+    return settings.expenseCategories.filter(category => !category.retired);
+}
+
+// Create the expense lines
 function createExodaFields(count) {
     const container = document.getElementById('exoda-container');
 
     // Save existing values before clearing
     const existingValues = {};
     for (let i = 1; i <= currentExodaCount; i++) {
-        const input = cachedInputs[`exoda-${i}`];
-        if (input && input.value) {
-            existingValues[i] = input.value;
-        }
-        const descInput = cachedInputs[`exoda-desc-${i}`];
-        if (descInput && descInput.value) {
-            existingValues[`desc-${i}`] = descInput.value;
+        for (const id of getExodaFieldIds(i)) {
+            if (cachedInputs[id] && cachedInputs[id].value) {
+                existingValues[id] = getFieldText(cachedInputs[id]);
+            }
+            delete cachedInputs[id];
         }
     }
-
-    // Clear container and remove old cached inputs
     container.innerHTML = '';
-    for (let i = 1; i <= currentExodaCount; i++) {
-        delete cachedInputs[`exoda-${i}`];
-        delete cachedInputs[`exoda-desc-${i}`];
-    }
 
     currentExodaCount = count;
 
@@ -245,6 +487,8 @@ function createExodaFields(count) {
     // Debounced save for exoda fields
     const debouncedSave = debounce(saveAllValues, 300);
 
+    const categories = getActiveExpenseCategories();
+
     for (let i = 1; i <= count; i++) {
         const div = document.createElement('div');
         div.className = 'input-group input-group-exoda';
@@ -259,37 +503,80 @@ function createExodaFields(count) {
         descInput.placeholder = 'Περιγραφή';
         descInput.autocomplete = 'off';
         descInput.className = 'exoda-desc';
-
-        // Restore description if it existed
-        if (existingValues[`desc-${i}`]) {
-            descInput.value = existingValues[`desc-${i}`];
+        descInput.setAttribute('list', 'exoda-suggestions');
+
+        const categorySelect = document.createElement('select');
+        categorySelect.id = `exoda-category-${i}`;
+        categorySelect.className = 'exoda-category';
+        categorySelect.setAttribute('aria-label', 'Κατηγορία');
+        for (const category of [{ id: '', label: 'Κατηγορία' }, ...categories]) {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.label;
+            categorySelect.appendChild(option);
         }
 
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'exoda-remove';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Αφαίρεση εξόδου ${i}`);
+
+        const invoiceInput = document.createElement('input');
+        invoiceInput.type = 'text';
+        invoiceInput.id = `exoda-invoice-${i}`;
+        invoiceInput.placeholder = 'Αρ. τιμολογίου';
+        invoiceInput.autocomplete = 'off';
+        invoiceInput.className = 'exoda-invoice';
+
         const input = document.createElement('input');
         input.type = 'text';
         input.inputMode = 'decimal';
         input.id = `exoda-${i}`;
         input.placeholder = '0';
         input.autocomplete = 'off';
-
-        // Restore value if it existed
-        if (existingValues[i]) {
-            input.value = existingValues[i];
-        }
+        input.className = 'exoda-amount';
 
         const span = document.createElement('span');
         span.className = 'currency';
         span.textContent = '€';
 
+        // Supplier receipt: the photo is kept in the archive database, the line holds its id
+        const receiptInput = document.createElement('input');
+        receiptInput.type = 'hidden';
+        receiptInput.id = `exoda-receipt-${i}`;
+        receiptInput.className = 'exoda-receipt';
+
+        const photoInput = document.createElement('input');
+        photoInput.type = 'file';
+        photoInput.accept = 'image/*';
+        photoInput.style.display = 'none';
+
+        const photoBtn = document.createElement('button');
+        photoBtn.type = 'button';
+        photoBtn.className = 'exoda-photo';
+
         div.appendChild(label);
         div.appendChild(descInput);
+        div.appendChild(categorySelect);
+        div.appendChild(removeBtn);
+        div.appendChild(photoBtn);
+        div.appendChild(photoInput);
+        div.appendChild(receiptInput);
+        div.appendChild(invoiceInput);
         div.appendChild(input);
         div.appendChild(span);
         container.appendChild(div);
 
-        // Cache the input elements
-        cachedInputs[`exoda-${i}`] = input;
-        cachedInputs[`exoda-desc-${i}`] = descInput;
+        // Cache the input elements and restore values if they existed
+        // (a line whose category was retired is left without one)
+        for (const element of [input, descInput, categorySelect, invoiceInput, receiptInput]) {
+            cachedInputs[element.id] = element;
+            if (existingValues[element.id]) setFieldText(element, existingValues[element.id]);
+        }
+
+        const showPhotoState = () => showReceiptState(receiptInput);
+        showPhotoState();
 
         // Add event listeners
         input.addEventListener('input', (e) => {
@@ -302,234 +589,1143 @@ function createExodaFields(count) {
         descInput.addEventListener('input', () => {
             debouncedSave();
         });
-    }
-}
 
-// Get total exoda amount (sum of all exoda fields)
-function getTotalExoda() {
-    let total = 0;
-    for (let i = 1; i <= currentExodaCount; i++) {
-        const input = cachedInputs[`exoda-${i}`];
-        if (input) {
-            const amount = parseFloat(input.value) || 0;
-            total += amount;
-        }
+        // A known supplier or past description fills in its usual category
+        descInput.addEventListener('change', () => {
+            if (!categorySelect.value) {
+                categorySelect.value = guessExodaCategory(descInput.value);
+            }
+            saveAllValues();
+        });
+
+        categorySelect.addEventListener('change', () => saveAllValues());
+        invoiceInput.addEventListener('input', () => debouncedSave());
+        removeBtn.addEventListener('click', () => removeExodaLine(i));
+
+        // Take or pick a photo; with one attached, the button takes it off instead
+        photoBtn.addEventListener('click', () => {
+            if (!receiptInput.value) {
+                photoInput.click();
+            } else if (confirm(`Αφαίρεση της απόδειξης από το ΈΞΟΔΑ ${i};`)) {
+                receiptInput.value = '';
+                showPhotoState();
+                saveAllValues();
+            }
+        });
+
+        photoInput.addEventListener('change', async () => {
+            const file = photoInput.files[0];
+            photoInput.value = '';
+            if (!file) return;
+            photoBtn.textContent = '...';
+            try {
+                receiptInput.value = await storeReceiptPhoto(file);
+                saveAllValues();
+            } catch (e) {
+                showInputError('Η φωτογραφία της απόδειξης δεν αποθηκεύτηκε');
+            }
+            showPhotoState();
+        });
     }
-    return total;
 }
 
-// Save all field values to localStorage
-function saveAllValues() {
-    const values = {};
+// Compress a receipt photo and store it; resolves with its id
+async function storeReceiptPhoto(file) {
+    const canvas = await photoToCanvas(file, RECEIPT_PHOTO_MAX_PIXELS);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', RECEIPT_PHOTO_QUALITY));
+    return archiveAddReceipt({ blob, createdAt: Date.now() });
+}
 
-    // Save all main fields (bills, coins, other)
-    const allFields = [...denominations.bills, ...denominations.coins, ...denominations.other];
-    allFields.forEach(id => {
-        if (cachedInputs[id] && cachedInputs[id].value) {
-            values[id] = cachedInputs[id].value;
-        }
-    });
+// Photo button of an expense line, ticked while a receipt is attached
+function showReceiptState(receiptInput) {
+    const photoBtn = receiptInput.parentElement.querySelector('.exoda-photo');
+    photoBtn.textContent = receiptInput.value ? '✓ Απόδειξη' : 'Απόδειξη';
+    photoBtn.classList.toggle('has-receipt', !!receiptInput.value);
+}
 
-    // Save name
-    if (cachedInputs['user-name'] && cachedInputs['user-name'].value) {
-        values['user-name'] = cachedInputs['user-name'].value;
-    }
+// Delete the receipt photos nothing refers to: ones taken off the form (kept
+// for the session so undo can bring them back) and those of dropped drafts
+async function sweepReceiptPhotos() {
+    try {
+        // Listed first, so a photo taken meanwhile isn't among them
+        const ids = await archiveGetReceiptIds();
+        const used = new Set();
+        const useExoda = exoda => (exoda || []).forEach(exodo => {
+            if (exodo.receiptId) used.add(exodo.receiptId);
+        });
 
-    // Save exoda fields (amounts and descriptions)
-    for (let i = 1; i <= currentExodaCount; i++) {
-        const input = cachedInputs[`exoda-${i}`];
-        if (input && input.value) {
-            values[`exoda-${i}`] = input.value;
+        for (const closing of await archiveGetAllClosings()) {
+            useExoda(closing.exoda);
+            (closing.shifts || []).forEach(shift => useExoda(shift.exoda));
         }
-        const descInput = cachedInputs[`exoda-desc-${i}`];
-        if (descInput && descInput.value) {
-            values[`exoda-desc-${i}`] = descInput.value;
+        useExoda(readExoda());
+        Object.values(loadShifts()).flat().forEach(shift => useExoda(shift.exoda));
+        for (const draft of Object.values(loadDrafts())) {
+            for (const [id, value] of Object.entries(draft.values)) {
+                if (id.startsWith('exoda-receipt-') && value) used.add(Number(value));
+            }
         }
-    }
 
-    localStorage.setItem('allValues', JSON.stringify(values));
-    localStorage.setItem('allValuesSavedAt', Date.now());
-    localStorage.setItem('countMode', isCountMode);
+        for (const id of ids) {
+            if (!used.has(id)) await archiveDeleteReceipt(id);
+        }
+    } catch (e) {
+        // No archive (private browsing): nothing stored to clean up
+    }
 }
 
-// Restore all field values from localStorage (expires after 1 hour)
-function restoreAllValues() {
-    const savedAt = localStorage.getItem('allValuesSavedAt');
-    if (savedAt && (Date.now() - parseInt(savedAt)) > 36000000) {
-        localStorage.removeItem('allValues');
-        localStorage.removeItem('allValuesSavedAt');
-        localStorage.removeItem('exodaCount');
-        return;
+// Receipt photos of a closing's expense lines as files: [{ exodo, file }]
+async function loadReceiptPhotos(closing) {
+    const photos = [];
+    for (const [index, exodo] of closing.exoda.entries()) {
+        if (!exodo.receiptId) continue;
+        const receipt = await archiveGetReceipt(exodo.receiptId);
+        if (!receipt) continue;
+        photos.push({ exodo, file: new File([receipt.blob], `exodo-${index + 1}.jpg`, { type: receipt.blob.type }) });
     }
+    return photos;
+}
 
-    // Restore count mode
-    const savedCountMode = localStorage.getItem('countMode');
-    if (savedCountMode === 'true') {
-        isCountMode = true;
-        document.getElementById('mode-amount').classList.remove('active');
-        document.getElementById('mode-count').classList.add('active');
+// Thumbnails of a closing's receipt photos, each opening the full image
+async function renderReceiptThumbs(container, closing) {
+    let photos = [];
+    try {
+        photos = await loadReceiptPhotos(closing);
+    } catch (e) {
+        // No archive (private browsing): nothing to show
+    }
+    if (!photos.length) return;
+
+    let html = '<div class="stelno-section-title">Αποδείξεις εξόδων</div>';
+    html += '<div class="receipt-thumbs">';
+    for (const { exodo, file } of photos) {
+        const url = URL.createObjectURL(file);
+        receiptThumbUrls.push(url);
+        const caption = exodo.desc || formatCurrency(exodo.amount);
+        html += `<a class="receipt-thumb" href="${url}" target="_blank" rel="noopener">`;
+        html += `<img src="${url}" alt="${escapeHtml(caption)}"><span>${escapeHtml(caption)}</span></a>`;
     }
+    html += '</div>';
+    container.innerHTML = html;
+}
 
-    const saved = localStorage.getItem('allValues');
-    if (!saved) return;
+function revokeReceiptThumbs() {
+    receiptThumbUrls.forEach(url => URL.revokeObjectURL(url));
+    receiptThumbUrls = [];
+}
 
-    const values = JSON.parse(saved);
+function addExodaLine() {
+    createExodaFields(currentExodaCount + 1);
+    saveAllValues();
+    cachedInputs[`exoda-desc-${currentExodaCount}`].focus();
+}
 
-    // Restore name (date is always set to today on load)
-    if (cachedInputs['user-name'] && values['user-name']) {
-        cachedInputs['user-name'].value = values['user-name'];
+// Remove an expense line, moving the ones below it up. The last line left is only cleared.
+function removeExodaLine(index) {
+    for (let i = index; i <= currentExodaCount; i++) {
+        const current = getExodaFieldIds(i);
+        const next = i < currentExodaCount ? getExodaFieldIds(i + 1) : [];
+        current.forEach((id, field) => {
+            setFieldText(cachedInputs[id], next.length ? getFieldText(cachedInputs[next[field]]) : '');
+            cachedInputs[id].classList.remove('invalid');
+        });
     }
+    if (currentExodaCount > 1) createExodaFields(currentExodaCount - 1);
+    for (let i = index; i <= currentExodaCount; i++) validateInput(`exoda-${i}`);
+    updateTotals();
+    saveAllValues();
+}
 
-    // Restore main fields
-    const allFields = [...denominations.bills, ...denominations.coins, ...denominations.other];
-    allFields.forEach(id => {
-        if (cachedInputs[id] && values[id]) {
-            cachedInputs[id].value = values[id];
-        }
-    });
-
-    // Restore exoda fields (amounts and descriptions)
-    for (let i = 1; i <= currentExodaCount; i++) {
-        const input = cachedInputs[`exoda-${i}`];
-        if (input && values[`exoda-${i}`]) {
-            input.value = values[`exoda-${i}`];
-        }
-        const descInput = cachedInputs[`exoda-desc-${i}`];
-        if (descInput && values[`exoda-desc-${i}`]) {
-            descInput.value = values[`exoda-desc-${i}`];
-        }
-    }
+// Case- and accent-insensitive form of an expense description for matching
+function normalizeExodaText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
 }
 
-// Validate input based on field type
-function validateInput(id) {
-    const input = cachedInputs[id];
-    const value = parseFloat(input.value);
+// Category for a description: a matching supplier preset first, then the
+// category the same description had most recently in the archive
+function guessExodaCategory(desc) {
+    const key = normalizeExodaText(desc);
+    if (!key) return '';
 
-    // Skip validation if empty
-    if (!input.value) {
-        input.classList.remove('invalid');
-        return;
-    }
+    const preset = settings.expensePresets.find(p => normalizeExodaText(p.supplier) === key);
+    const past = exodaHistory.find(entry => entry.category && normalizeExodaText(entry.desc) === key);
+    const category = (preset && preset.category) || (past && past.category) || '';
+    return getActiveExpenseCategories().some(c => c.id === category) ? category : '';
+}
 
-    // Check if this is a denomination field (bills and coins)
-    if (denominationValues.hasOwnProperty(id)) {
-        if (isCountMode) {
-            // Count mode: must be a non-negative integer
-            const isValid = !isNaN(value) && Number.isInteger(value) && value >= 0;
-            input.classList.toggle('invalid', !isValid);
-        } else {
-            // Amount mode: must be a valid multiple of the denomination
-            const denomination = denominationValues[id];
-            const epsilon = 0.001;
-            const remainder = (value % denomination);
-            const isValidMultiple = remainder < epsilon || (denomination - remainder) < epsilon;
+// Fill the description autocomplete with the supplier presets and past descriptions
+function renderExodaSuggestions() {
+    const datalist = document.getElementById('exoda-suggestions');
+    const seen = new Set();
+    datalist.innerHTML = '';
+    for (const desc of [...settings.expensePresets.map(p => p.supplier), ...exodaHistory.map(entry => entry.desc)]) {
+        const key = normalizeExodaText(desc);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        const option = document.createElement('option');
+        option.value = desc;
+        datalist.appendChild(option);
+    }
+}
 
-            if (!isNaN(value) && !isValidMultiple) {
-                input.classList.add('invalid');
-            } else {
-                input.classList.remove('invalid');
-            }
-        }
-    } else {
-        // For "Other Amounts" fields, no denomination validation
-        input.classList.remove('invalid');
+// Expense descriptions used in archived closings, newest first
+async function loadExodaHistory() {
+    try {
+        const closings = await archiveGetAllClosings();
+        exodaHistory = closings.flatMap(closing => closing.exoda
+            .filter(exodo => exodo.desc)
+            .map(exodo => ({ desc: exodo.desc, category: exodo.category || '' })));
+    } catch (e) {
+        // No archive (private browsing): suggest the presets only
     }
+    renderExodaSuggestions();
 }
 
-// Update all totals
-function updateTotals() {
-    let grandTotal = 0;
+// Payment channels shown in the form (not retired), in display order
+function getActiveChannels() {
+    return settings.channels.filter(channel => !channel.retired);
+}
 
-    // Calculate total from all fields using cached elements
-    const allFields = [...denominations.bills, ...denominations.coins, ...denominations.other];
+// Input IDs of the active payment channels
+function getChannelFields() {
+    return getActiveChannels().map(channel => channel.id);
+}
 
-    allFields.forEach(id => {
-        const rawValue = parseFloat(cachedInputs[id].value) || 0;
-        // In count mode, denomination fields need to be multiplied by their value
-        if (isCountMode && denominationValues.hasOwnProperty(id)) {
-            grandTotal += rawValue * denominationValues[id];
-        } else {
-            grandTotal += rawValue;
-        }
+// Create payment channel input fields from settings
+function createChannelFields() {
+    const container = document.getElementById('channels-container');
+
+    // Save existing values before clearing
+    const existingValues = {};
+    container.querySelectorAll('input').forEach(input => {
+        if (input.value) existingValues[input.id] = getFieldText(input);
+        delete cachedInputs[input.id];
     });
+    container.innerHTML = '';
 
-    // Add all exoda amounts to grand total
-    const totalExoda = getTotalExoda();
-    grandTotal += totalExoda;
+    // Debounced update function (50ms delay)
+    const debouncedUpdate = debounce(updateTotals, 50);
 
-    // Calculate ΜΕΤΡΗΤΑ (cash) = ΤΑΜΕΙΟ - (1000 + ΈΞΟΔΑ + WOLT + EFOOD + myPos + Eurobank)
-    const deductions = ['wolt', 'efood', 'mypos', 'eurobank'];
-    let deductionsTotal = 1000; // Start with fixed 1000
-    deductionsTotal += totalExoda; // Add total exoda
+    // Debounced save for channel fields
+    const debouncedSave = debounce(saveAllValues, 300);
 
-    deductions.forEach(id => {
-        const amount = parseFloat(cachedInputs[id].value) || 0;
-        deductionsTotal += amount;
-    });
+    for (const channel of getActiveChannels()) {
+        const div = document.createElement('div');
+        div.className = 'input-group';
 
-    const cashTotal = grandTotal - deductionsTotal;
+        const label = document.createElement('label');
+        label.setAttribute('for', channel.id);
+        label.textContent = channel.label;
 
-    // Calculate ΜΕΤΡΗΤΑ LIM = ΜΕΤΡΗΤΑ + ΈΞΟΔΑ
-    const cashLimTotal = cashTotal + totalExoda;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.id = channel.id;
+        input.placeholder = '0';
+        input.autocomplete = 'off';
 
-    // Calculate ΕΣΟΔΑ LIM = ΜΕΤΡΗΤΑ + ΈΞΟΔΑ + myPos + Eurobank
-    const myposAmount = parseFloat(cachedInputs.mypos.value) || 0;
-    const eurobankAmount = parseFloat(cachedInputs.eurobank.value) || 0;
-    const incomeLimTotal = cashTotal + totalExoda + myposAmount + eurobankAmount;
+        const span = document.createElement('span');
+        span.className = 'currency';
+        span.textContent = '€';
 
-    // Update totals using cached elements
-    cachedOutputs.grandTotal.textContent = formatCurrency(grandTotal);
-    cachedOutputs.totalExoda.textContent = formatCurrency(totalExoda);
-    cachedOutputs.cashTotal.textContent = formatCurrency(cashTotal);
-    cachedOutputs.cashLimTotal.textContent = formatCurrency(cashLimTotal);
-    cachedOutputs.incomeLimTotal.textContent = formatCurrency(incomeLimTotal);
-}
+        div.appendChild(label);
+        div.appendChild(input);
+        div.appendChild(span);
+        container.appendChild(div);
 
-// Format currency
-function formatCurrency(amount) {
-    return amount.toFixed(2) + '€';
-}
+        cachedInputs[channel.id] = input;
 
-// Reset all inputs
-function resetAll() {
-    if (confirm('Είστε σίγουροι ότι θέλετε να καθαρίσετε όλα τα πεδία;')) {
-        // Reset all inputs
-        document.querySelectorAll('input[type="text"]').forEach(input => {
-            input.value = '';
-            input.classList.remove('invalid');
+        // Restore value if it existed
+        if (existingValues[channel.id]) {
+            setFieldText(input, existingValues[channel.id]);
+        }
+
+        input.addEventListener('input', (e) => {
+            handleCommaInput(e);
+            validateInput(channel.id);
+            debouncedUpdate();
+            debouncedSave();
         });
+    }
+}
+
+// Channels a card terminal batch can settle into (everything except delivery platforms)
+function getCardChannels() {
+    return getActiveChannels().filter(channel => !channel.delivery);
+}
 
-        // Clear localStorage
-        localStorage.removeItem('allValues');
-        localStorage.removeItem('allValuesSavedAt');
-        localStorage.removeItem('exodaCount');
-        localStorage.removeItem('countMode');
+// Field IDs of one card terminal batch row
+function getBatchFieldIds(i) {
+    return TameioTransfer.batchFieldIds(i);
+}
 
-        // Reset to amount mode
-        isCountMode = false;
-        document.getElementById('mode-amount').classList.add('active');
-        document.getElementById('mode-count').classList.remove('active');
+// Create card terminal batch fields based on count
+function createBatchFields(count) {
+    const container = document.getElementById('batches-container');
 
-        updateTotals();
+    // Save existing values before clearing
+    const existingValues = {};
+    for (let i = 1; i <= currentBatchCount; i++) {
+        for (const id of getBatchFieldIds(i)) {
+            if (cachedInputs[id] && cachedInputs[id].value) {
+                existingValues[id] = getFieldText(cachedInputs[id]);
+            }
+            delete cachedInputs[id];
+        }
     }
-}
+    container.innerHTML = '';
 
-// Toggle dark mode
-function toggleTheme() {
-    document.body.classList.toggle('dark-mode');
-    const isDarkMode = document.body.classList.contains('dark-mode');
+    currentBatchCount = count;
 
-    // Update icon
-    const themeIcon = document.querySelector('.theme-icon');
-    themeIcon.textContent = isDarkMode ? '☀️' : '🌙';
+    // Debounced update function (50ms delay)
+    const debouncedUpdate = debounce(updateTotals, 50);
 
-    // Save preference
-    localStorage.setItem('darkMode', isDarkMode);
-}
+    // Debounced save for batch fields
+    const debouncedSave = debounce(saveAllValues, 300);
 
-// Load saved theme preference
-function loadTheme() {
+    const cardChannels = getCardChannels();
+
+    for (let i = 1; i <= count; i++) {
+        const div = document.createElement('div');
+        div.className = 'input-group input-group-batch';
+
+        const label = document.createElement('label');
+        label.setAttribute('for', `batch-${i}`);
+        label.textContent = `BATCH ${i}`;
+
+        const channelSelect = document.createElement('select');
+        channelSelect.id = `batch-channel-${i}`;
+        channelSelect.className = 'batch-channel';
+        channelSelect.setAttribute('aria-label', 'Κανάλι');
+        for (const channel of cardChannels) {
+            const option = document.createElement('option');
+            option.value = channel.id;
+            option.textContent = channel.label;
+            channelSelect.appendChild(option);
+        }
+
+        const terminalInput = document.createElement('input');
+        terminalInput.type = 'text';
+        terminalInput.id = `batch-terminal-${i}`;
+        terminalInput.placeholder = 'Τερματικό';
+        terminalInput.autocomplete = 'off';
+        terminalInput.className = 'batch-terminal';
+
+        const noInput = document.createElement('input');
+        noInput.type = 'text';
+        noInput.id = `batch-no-${i}`;
+        noInput.placeholder = 'Batch/Z';
+        noInput.autocomplete = 'off';
+        noInput.className = 'batch-no';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.id = `batch-${i}`;
+        input.placeholder = '0';
+        input.autocomplete = 'off';
+        input.className = 'batch-amount';
+
+        const span = document.createElement('span');
+        span.className = 'currency';
+        span.textContent = '€';
+
+        div.appendChild(label);
+        div.appendChild(channelSelect);
+        div.appendChild(terminalInput);
+        div.appendChild(noInput);
+        div.appendChild(input);
+        div.appendChild(span);
+        container.appendChild(div);
+
+        // Cache the input elements and restore values if they existed
+        // (a batch whose channel was retired falls back to the first card channel)
+        for (const element of [channelSelect, terminalInput, noInput, input]) {
+            cachedInputs[element.id] = element;
+            if (existingValues[element.id]) setFieldText(element, existingValues[element.id]);
+        }
+        if (!channelSelect.value && cardChannels.length) {
+            channelSelect.value = cardChannels[0].id;
+        }
+
+        input.addEventListener('input', (e) => {
+            handleCommaInput(e);
+            validateInput(`batch-${i}`);
+            debouncedUpdate();
+            debouncedSave();
+        });
+
+        channelSelect.addEventListener('change', () => {
+            updateTotals();
+            saveAllValues();
+        });
+
+        terminalInput.addEventListener('input', () => debouncedSave());
+        noInput.addEventListener('input', () => debouncedSave());
+    }
+}
+
+// Fill channel inputs that have batches with the batch sum and lock them, so
+// the card total always matches its settlements. Channels without batches stay editable.
+function applyBatchTotals() {
+    const totals = TameioEngine.sumBatches(readBatches());
+    for (const id of getChannelFields()) {
+        const input = cachedInputs[id];
+        const fromBatches = totals.hasOwnProperty(id);
+        if (fromBatches) {
+            setFieldText(input, String(totals[id]));
+            input.classList.remove('invalid');
+        } else if (input.readOnly) {
+            setFieldText(input, '');
+        }
+        input.readOnly = fromBatches;
+        input.classList.toggle('from-batches', fromBatches);
+    }
+}
+
+// Unfinished closings, one per date, saved as they're typed:
+// { 'YYYY-MM-DD': { values: { fieldId: text }, exodaCount, batchCount, history, savedAt } }
+function loadDrafts() {
+    try {
+        return JSON.parse(localStorage.getItem('drafts')) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveDrafts(drafts) {
+    localStorage.setItem('drafts', JSON.stringify(drafts));
+}
+
+// Field values of the form as typed, leaving out empty fields
+function readDraftValues() {
+    const values = {};
+
+    // Main fields (bills, coins, other, channels), the opening float count and the Z report
+    const allFields = [...denominations.bills, ...denominations.coins, ...denominations.other, ...getChannelFields(), ...floatFields, ...zFields];
+    allFields.forEach(id => {
+        if (cachedInputs[id] && cachedInputs[id].value) {
+            values[id] = getFieldText(cachedInputs[id]);
+        }
+    });
+
+    // Name
+    if (cachedInputs['user-name'] && cachedInputs['user-name'].value) {
+        values['user-name'] = cachedInputs['user-name'].value;
+    }
+
+    // Expense lines
+    for (let i = 1; i <= currentExodaCount; i++) {
+        for (const id of getExodaFieldIds(i)) {
+            if (cachedInputs[id] && cachedInputs[id].value) {
+                values[id] = getFieldText(cachedInputs[id]);
+            }
+        }
+    }
+
+    // Card terminal batch fields
+    for (let i = 1; i <= currentBatchCount; i++) {
+        for (const id of getBatchFieldIds(i)) {
+            if (cachedInputs[id] && cachedInputs[id].value) {
+                values[id] = getFieldText(cachedInputs[id]);
+            }
+        }
+    }
+    return values;
+}
+
+// Save the form as the draft of its date. An empty form drops the date's draft.
+// Unless a field is still being typed in, the change also becomes an undo step.
+function saveAllValues() {
+    const date = getFormDate();
+    const values = readDraftValues();
+    const drafts = loadDrafts();
+    const previous = drafts[date];
+
+    if (Object.keys(values).length) {
+        const unchanged = previous && JSON.stringify(previous.values) === JSON.stringify(values) &&
+            previous.exodaCount === currentExodaCount && previous.batchCount === currentBatchCount;
+        drafts[date] = {
+            values,
+            exodaCount: currentExodaCount,
+            batchCount: currentBatchCount,
+            countMode: isCountMode,
+            history: fieldHistory,
+            // Only edits count towards retention, not saves on leaving the page
+            savedAt: unchanged ? previous.savedAt : Date.now()
+        };
+    } else {
+        delete drafts[date];
+    }
+    saveDrafts(drafts);
+    localStorage.setItem('draftDate', date);
+    localStorage.setItem('countMode', isCountMode);
+    updateDraftsButton();
+    if (!isEditableField(document.activeElement)) recordEdit();
+}
+
+// Reopen the draft of the date last worked on (today if it has none left),
+// after dropping drafts past the retention period
+function restoreAllValues() {
+    migrateLegacyDraft();
+    pruneDrafts();
+
+    // Restore count mode
+    const savedCountMode = localStorage.getItem('countMode');
+    if (savedCountMode === 'true') {
+        isCountMode = true;
+        document.getElementById('mode-amount').classList.remove('active');
+        document.getElementById('mode-count').classList.add('active');
+    }
+
+    const drafts = loadDrafts();
+    const lastDate = localStorage.getItem('draftDate');
+    if (lastDate && drafts[lastDate]) {
+        setFormDate(new Date(`${lastDate}T00:00:00`));
+    }
+    applyDraft(drafts[getFormDate()]);
+    resetEditHistory(drafts[getFormDate()]);
+    updateDraftsButton();
+}
+
+// The single draft kept before drafts were per date becomes today's draft
+function migrateLegacyDraft() {
+    const saved = localStorage.getItem('allValues');
+    if (saved) {
+        const drafts = loadDrafts();
+        const today = toIsoDate(new Date());
+        try {
+            drafts[today] = drafts[today] || {
+                values: JSON.parse(saved),
+                exodaCount: parseInt(localStorage.getItem('exodaCount')) || 1,
+                batchCount: parseInt(localStorage.getItem('batchCount')) || 0,
+                countMode: localStorage.getItem('countMode') === 'true',
+                savedAt: parseInt(localStorage.getItem('allValuesSavedAt')) || Date.now()
+            };
+            saveDrafts(drafts);
+        } catch (e) {
+            // Unreadable: dropped
+        }
+    }
+    ['allValues', 'allValuesSavedAt', 'exodaCount', 'batchCount'].forEach(key => localStorage.removeItem(key));
+}
+
+// Throw away drafts nobody has edited within the retention period, with the
+// shifts handed over on their dates
+function pruneDrafts() {
+    const days = settings.draftRetentionDays;
+    if (!(days > 0)) return;
+
+    const drafts = loadDrafts();
+    const cutoff = Date.now() - days * 86400000;
+    for (const [date, draft] of Object.entries(drafts)) {
+        if (draft.savedAt < cutoff) {
+            delete drafts[date];
+            saveDayShifts(date, []);
+        }
+    }
+    saveDrafts(drafts);
+}
+
+// Fill the form with a draft, or empty it for a date without one.
+// The date, count mode and the opening float's register stay as they are:
+// bills and coins typed in the other mode are converted, as the mode switch
+// does, and every field is checked again as if just typed.
+function applyDraft(draft) {
+    // Drafts saved before they kept their mode were typed in the current one
+    const values = draft
+        ? TameioEngine.convertModeValues(draft.values, draft.countMode ?? isCountMode, isCountMode)
+        : {};
+
+    const fields = [
+        'user-name',
+        ...denominations.bills, ...denominations.coins, ...denominations.other,
+        ...getChannelFields(), ...floatFields, ...zFields,
+        ...Array.from({ length: currentExodaCount }, (_, i) => getExodaFieldIds(i + 1)).flat(),
+        ...Array.from({ length: currentBatchCount }, (_, i) => getBatchFieldIds(i + 1)).flat()
+    ];
+    for (const id of fields) {
+        setFieldText(cachedInputs[id], '');
+        cachedInputs[id].classList.remove('invalid');
+    }
+
+    createExodaFields(draft ? draft.exodaCount || 1 : 1);
+    const batchCount = draft ? draft.batchCount || 0 : 0;
+    document.getElementById('batch-count').value = String(batchCount);
+    createBatchFields(batchCount);
+
+    for (const [id, text] of Object.entries(values)) {
+        if (!cachedInputs[id]) continue;
+        setFieldText(cachedInputs[id], text);
+        if (isNumericField(cachedInputs[id])) validateInput(id);
+    }
+    document.querySelectorAll('.exoda-receipt').forEach(showReceiptState);
+    document.getElementById('fakelos-result').style.display = 'none';
+    applyProfileName();
+}
+
+function updateDraftsButton() {
+    const count = Object.keys(loadDrafts()).length;
+    document.getElementById('drafts-btn').textContent = count ? `Πρόχειρα (${count})` : 'Πρόχειρα';
+}
+
+function showDrafts() {
+    showDraftsError('');
+    renderDrafts();
+    const overlay = document.getElementById('drafts-overlay');
+    overlay.style.display = 'flex';
+    overlay.querySelector('.modal-content').scrollTop = 0;
+}
+
+function closeDrafts() {
+    document.getElementById('drafts-overlay').style.display = 'none';
+}
+
+// Last edit of a draft as DD/MM/YYYY HH:MM
+function formatDraftSavedAt(savedAt) {
+    const date = new Date(savedAt);
+    const hh = String(date.getHours()).padStart(2, '0');
+    const mm = String(date.getMinutes()).padStart(2, '0');
+    return `${formatDateDMY(date)} ${hh}:${mm}`;
+}
+
+// Drafts, latest date first, each to open, finalize or discard
+function renderDrafts() {
+    const body = document.getElementById('drafts-body');
+    const drafts = Object.entries(loadDrafts()).sort(([a], [b]) => b.localeCompare(a));
+    const current = getFormDate();
+
+    let html = '';
+    if (!drafts.length) {
+        html += '<p class="fakelos-message">Δεν υπάρχουν πρόχειρα.</p>';
+    } else {
+        html += '<div class="drafts-list">';
+        for (const [date, draft] of drafts) {
+            const isCurrent = date === current;
+            html += `<div class="draft-row${isCurrent ? ' current' : ''}" data-date="${date}">`;
+            html += `<span class="history-date">${isoToDMY(date)}</span>`;
+            html += `<span class="history-name">${escapeHtml(draft.values['user-name'] || '')}</span>`;
+            html += `<span class="draft-saved">${isCurrent ? 'Στη φόρμα · ' : ''}${formatDraftSavedAt(draft.savedAt)}</span>`;
+            html += '<div class="draft-actions">';
+            if (!isCurrent) html += '<button type="button" class="draft-action" data-action="open">Άνοιγμα</button>';
+            html += '<button type="button" class="draft-action" data-action="finalize">Οριστικοποίηση</button>';
+            html += '<button type="button" class="draft-action danger" data-action="discard">Απόρριψη</button>';
+            html += '</div>';
+            html += '</div>';
+        }
+        html += '</div>';
+    }
+
+    const days = settings.draftRetentionDays;
+    html += `<div class="settings-hint">${days > 0
+        ? `Πρόχειρα που δεν αλλάζουν για ${days} ημέρες διαγράφονται αυτόματα.`
+        : 'Τα πρόχειρα κρατιούνται μέχρι να οριστικοποιηθούν ή να απορριφθούν.'}</div>`;
+    body.innerHTML = html;
+
+    body.querySelectorAll('.draft-action').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const date = btn.closest('.draft-row').dataset.date;
+            if (btn.dataset.action === 'open') {
+                closeDrafts();
+                openFormDate(new Date(`${date}T00:00:00`));
+            } else if (btn.dataset.action === 'finalize') {
+                finalizeDraft(date);
+            } else {
+                discardDraft(date);
+            }
+        });
+    });
+}
+
+function showDraftsError(message) {
+    const errorEl = document.getElementById('drafts-error');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+// Store a draft's day in the history and drop the draft, leaving the date
+// empty in the form. Fields that don't check out stop it, as in Στέλνω.
+async function finalizeDraft(date) {
+    if (date !== getFormDate() && !(await openFormDate(new Date(`${date}T00:00:00`)))) return;
+
+    const invalid = getInvalidFieldLabels();
+    if (invalid.length > 0) {
+        renderDrafts();
+        showDraftsError(`Λανθασμένη τιμή στο: ${invalid.join(', ')}`);
+        return;
+    }
+    let approval;
+    try {
+        approval = await approveArchive(date);
+    } catch (e) {
+        showDraftsError('Η αποθήκευση στο ιστορικό απέτυχε');
+        return;
+    }
+    if (!approval || !confirm(`Οριστικοποίηση του κλεισίματος ${isoToDMY(date)}; Αποθηκεύεται στο ιστορικό και το πρόχειρο διαγράφεται.`)) {
+        renderDrafts();
+        return;
+    }
+
+    try {
+        await archiveCurrentClosing(approval.approver);
+    } catch (e) {
+        showDraftsError('Η αποθήκευση στο ιστορικό απέτυχε');
+        return;
+    }
+
+    // The archived closing now holds the draft, its receipt photos and the day's shifts
+    const drafts = loadDrafts();
+    delete drafts[date];
+    saveDrafts(drafts);
+    saveDayShifts(date, []);
+
+    applyDraft(null);
+    resetEditHistory(null);
+    updateShiftLabel();
+    applyRegisterSettings();
+    updateTotals();
+    updateDraftsButton();
+    loadExodaHistory();
+    showDraftsError('');
+    renderDrafts();
+}
+
+async function discardDraft(date) {
+    if (!(await confirmManagerAction(`Απόρριψη του πρόχειρου ${isoToDMY(date)}; Ό,τι έχει συμπληρωθεί διαγράφεται.`))) return;
+
+    const drafts = loadDrafts();
+    delete drafts[date];
+    saveDrafts(drafts);
+    saveDayShifts(date, []);
+    if (date === getFormDate()) {
+        applyDraft(null);
+        updateTotals();
+        // Undone like Καθαρισμός, which brings the draft back
+        recordEdit();
+    }
+    updateDraftsButton();
+    renderDrafts();
+}
+
+// Form fields typed into or picked by hand (not the date, photos or batch totals)
+function isEditableField(element) {
+    if (!element || !element.id || !element.form) return false;
+    if (element instanceof HTMLSelectElement) return true;
+    return element instanceof HTMLInputElement && element.type === 'text' && !element.readOnly;
+}
+
+// The form as undo sees it, the date's handed-over shifts included
+function takeSnapshot() {
+    return {
+        values: readDraftValues(),
+        exodaCount: currentExodaCount,
+        batchCount: currentBatchCount,
+        countMode: isCountMode,
+        shifts: getDayShifts()
+    };
+}
+
+// Start undo afresh for the date in the form, with the field history of its draft
+function resetEditHistory(draft) {
+    undoStack = [];
+    redoStack = [];
+    currentSnapshot = takeSnapshot();
+    fieldHistory = (draft && draft.history) || {};
+    updateUndoButtons();
+}
+
+// Make the form's state an undo step if it changed since the last one
+function recordEdit() {
+    if (!currentSnapshot) return;
+    const snapshot = takeSnapshot();
+    if (JSON.stringify(snapshot) === JSON.stringify(currentSnapshot)) return;
+
+    noteFieldChanges(currentSnapshot, snapshot);
+    undoStack.push(currentSnapshot);
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+    currentSnapshot = snapshot;
+    updateUndoButtons();
+    saveAllValues();
+}
+
+// Add each field whose text changed between two snapshots to its history
+function noteFieldChanges(before, after) {
+    const at = Date.now();
+    for (const id of new Set([...Object.keys(before.values), ...Object.keys(after.values)])) {
+        const from = before.values[id] || '';
+        const to = after.values[id] || '';
+        if (from === to || id.startsWith('exoda-receipt-')) continue;
+        const changes = fieldHistory[id] || (fieldHistory[id] = []);
+        const change = { from, to, at };
+        if (denominationValues.hasOwnProperty(id)) change.countMode = before.countMode;
+        changes.push(change);
+        if (changes.length > FIELD_HISTORY_LIMIT) changes.shift();
+    }
+}
+
+// Commit what's being typed, so undo takes back the whole edit
+function commitActiveField() {
+    if (isEditableField(document.activeElement)) document.activeElement.blur();
+    recordEdit();
+}
+
+function undoEdit() {
+    commitActiveField();
+    if (!undoStack.length) return;
+    redoStack.push(currentSnapshot);
+    currentSnapshot = undoStack.pop();
+    applySnapshot(currentSnapshot);
+}
+
+function redoEdit() {
+    commitActiveField();
+    if (!redoStack.length) return;
+    undoStack.push(currentSnapshot);
+    currentSnapshot = redoStack.pop();
+    applySnapshot(currentSnapshot);
+}
+
+// Put the form back as a snapshot had it
+function applySnapshot(snapshot) {
+    isCountMode = snapshot.countMode;
+    document.getElementById('mode-amount').classList.toggle('active', !isCountMode);
+    document.getElementById('mode-count').classList.toggle('active', isCountMode);
+
+    saveDayShifts(getFormDate(), snapshot.shifts);
+
+    applyDraft(snapshot);
+
+    hideFieldHistory();
+    updateShiftLabel();
+    applyRegisterSettings();
+    updateTotals();
+
+    // As the form now reads it (batch totals refilled), so saving adds no step
+    currentSnapshot = takeSnapshot();
+    updateUndoButtons();
+    saveAllValues();
+}
+
+function updateUndoButtons() {
+    document.getElementById('undo-btn').disabled = !undoStack.length;
+    document.getElementById('redo-btn').disabled = !redoStack.length;
+    document.getElementById('field-history-btn').disabled = !(fieldHistoryTarget && fieldHistory[fieldHistoryTarget]);
+}
+
+// Popover for a field's history, on the body like the calendar dropdown
+function initFieldHistoryPopover() {
+    const popover = document.createElement('div');
+    popover.id = 'field-history';
+    popover.className = 'field-history';
+    popover.style.display = 'none';
+    document.body.appendChild(popover);
+
+    document.addEventListener('click', (e) => {
+        if (!popover.contains(e.target)) hideFieldHistory();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideFieldHistory();
+    });
+}
+
+function hideFieldHistory() {
+    const popover = document.getElementById('field-history');
+    if (popover) popover.style.display = 'none';
+}
+
+// Name of a field in the history popover; expense and batch line fields
+// without a label of their own go by their line's
+function getEditFieldLabel(id) {
+    const input = cachedInputs[id];
+    if (document.querySelector(`label[for="${id}"]`)) {
+        return getFieldLabel(id, { channelDefs: readChannelDefs() });
+    }
+    const lineLabel = input.closest('.input-group')?.querySelector('label');
+    const part = input.placeholder || input.getAttribute('aria-label') || id;
+    return lineLabel ? `${lineLabel.textContent.trim()} · ${part}` : part;
+}
+
+// A field's text as the popover shows it: the option's name for a select,
+// pieces marked on a bill or coin typed in count mode
+function formatFieldHistoryText(input, text, countMode) {
+    if (!text) return '—';
+    if (input instanceof HTMLSelectElement) {
+        const option = Array.from(input.options).find(o => o.value === text);
+        return option ? option.textContent : text;
+    }
+    return countMode ? `${text} τεμ.` : text;
+}
+
+// Earlier values of a field, newest first; picking one puts it back
+function showFieldHistory(id) {
+    const input = cachedInputs[id];
+    const changes = fieldHistory[id];
+    if (!input || !input.isConnected || !changes) return;
+
+    const popover = document.getElementById('field-history');
+    let html = `<div class="field-history-title">${escapeHtml(getEditFieldLabel(id))}</div>`;
+    const isDenomination = denominationValues.hasOwnProperty(id);
+    html += `<div class="field-history-row current"><span>Τώρα</span><strong>${escapeHtml(formatFieldHistoryText(input, getFieldText(input), isDenomination && isCountMode))}</strong></div>`;
+    changes.slice().reverse().forEach((change, index) => {
+        const at = new Date(change.at);
+        const time = `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+        html += `<button type="button" class="field-history-row" data-index="${changes.length - 1 - index}">`;
+        html += `<span>${time}</span><strong>${escapeHtml(formatFieldHistoryText(input, change.from, change.countMode))}</strong>`;
+        html += '</button>';
+    });
+    popover.innerHTML = html;
+
+    popover.querySelectorAll('button.field-history-row').forEach(btn => {
+        btn.addEventListener('click', () => {
+            restoreFieldValue(id, changes[Number(btn.dataset.index)]);
+            hideFieldHistory();
+        });
+    });
+
+    // Under the field, kept within the viewport
+    popover.style.display = 'block';
+    const rect = input.getBoundingClientRect();
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8));
+    let top = rect.bottom + 6;
+    if (top + popover.offsetHeight > window.innerHeight - 8) top = Math.max(8, rect.top - popover.offsetHeight - 6);
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
+}
+
+// Put a field's earlier value back, as its own undo step. A bill or coin
+// typed in the other mode is converted, as the mode switch does.
+function restoreFieldValue(id, change) {
+    const input = cachedInputs[id];
+    const value = TameioEngine.evaluateExpression(change.from);
+    const converted = change.countMode !== undefined && change.countMode !== isCountMode && !isNaN(value);
+    setFieldText(input, converted ? String(TameioEngine.convertModeValue(value, id, isCountMode)) : change.from);
+    if (isNumericField(input)) validateInput(id);
+    updateTotals();
+    saveAllValues();
+}
+
+// Validate input based on field type
+function validateInput(id) {
+    const input = cachedInputs[id];
+    const value = TameioEngine.evaluateExpression(input.value);
+
+    // Skip validation if empty
+    if (!input.value) {
+        input.classList.remove('invalid');
+        return;
+    }
+
+    // An expression that doesn't work out is invalid in any field
+    if (isNaN(value)) {
+        input.classList.add('invalid');
+        return;
+    }
+
+    // Check if this is a denomination field (bills and coins)
+    if (denominationValues.hasOwnProperty(id)) {
+        if (isCountMode) {
+            // Count mode: must be a non-negative integer
+            const isValid = !isNaN(value) && Number.isInteger(value) && value >= 0;
+            input.classList.toggle('invalid', !isValid);
+        } else {
+            // Amount mode: must be a valid multiple of the denomination
+            const denomination = denominationValues[id];
+            const epsilon = 0.001;
+            const remainder = (value % denomination);
+            const isValidMultiple = remainder < epsilon || (denomination - remainder) < epsilon;
+
+            if (!isNaN(value) && !isValidMultiple) {
+                input.classList.add('invalid');
+            } else {
+                input.classList.remove('invalid');
+            }
+        }
+    } else if (floatFields.includes(id)) {
+        // Float count fields are always piece counts
+        const isValid = !isNaN(value) && Number.isInteger(value) && value >= 0;
+        input.classList.toggle('invalid', !isValid);
+    } else {
+        // For "Other Amounts" fields, no denomination validation
+        input.classList.remove('invalid');
+    }
+}
+
+// Expense lines currently entered (only lines with an amount, description or receipt)
+function readExoda() {
+    const exoda = [];
+    for (let i = 1; i <= currentExodaCount; i++) {
+        const amount = TameioEngine.parseAmount(cachedInputs[`exoda-${i}`]?.value);
+        const desc = cachedInputs[`exoda-desc-${i}`]?.value || '';
+        const receiptId = Number(cachedInputs[`exoda-receipt-${i}`]?.value) || null;
+        if (amount === 0 && !desc && !receiptId) continue;
+        exoda.push({
+            amount,
+            desc,
+            category: cachedInputs[`exoda-category-${i}`]?.value || '',
+            invoiceNo: cachedInputs[`exoda-invoice-${i}`]?.value.trim() || '',
+            receiptId
+        });
+    }
+    return exoda;
+}
+
+// Definitions of the expense categories the lines use, stored with each
+// closing so archived closings keep their category labels
+function readExpenseCategories(exoda) {
+    const used = new Set(exoda.map(exodo => exodo.category));
+    return settings.expenseCategories
+        .filter(category => used.has(category.id))
+        .map(({ id, label }) => ({ id, label }));
+}
+
+// Card terminal batches currently entered (only rows with an amount or batch number)
+function readBatches() {
+    const batches = [];
+    for (let i = 1; i <= currentBatchCount; i++) {
+        const amount = TameioEngine.parseAmount(cachedInputs[`batch-${i}`]?.value);
+        const batchNo = cachedInputs[`batch-no-${i}`]?.value.trim() || '';
+        if (amount === 0 && !batchNo) continue;
+        batches.push({
+            channel: cachedInputs[`batch-channel-${i}`]?.value || '',
+            terminal: cachedInputs[`batch-terminal-${i}`]?.value.trim() || '',
+            batchNo,
+            amount
+        });
+    }
+    return batches;
+}
+
+// Z report as entered; empty fields are null so they're left out of the reconciliation
+function readZReport() {
+    if (zFields.every(id => !cachedInputs[id].value)) return null;
+
+    const read = id => cachedInputs[id].value ? TameioEngine.parseAmount(cachedInputs[id].value) : null;
+    const vat = {};
+    for (const rate of TameioEngine.Z_VAT_RATES) {
+        vat[rate] = read(`z-vat-${rate}`);
+    }
+    return { gross: read('z-gross'), cash: read('z-cash'), card: read('z-card'), vat };
+}
+
+// Payment channel amounts currently entered
+function readChannels() {
+    const channels = {};
+    for (const id of getChannelFields()) {
+        channels[id] = TameioEngine.parseAmount(cachedInputs[id].value);
+    }
+    return channels;
+}
+
+// Definitions of the active channels, stored with each closing so archived
+// closings keep rendering with the labels and rules they were entered with
+function readChannelDefs() {
+    return getActiveChannels().map(({ id, label, reducesCash, incomeLim, delivery }) => (
+        { id, label, reducesCash, incomeLim, delivery }
+    ));
+}
+
+// The form as a plain closing object for the engine
+function readClosingInput() {
+    const exoda = readExoda();
+    return {
+        counts: getDenominationCounts(),
+        exoda,
+        expenseCategories: readExpenseCategories(exoda),
+        expressions: readFieldExpressions(),
+        channels: readChannels(),
+        channelDefs: readChannelDefs(),
+        batches: readBatches(),
+        zReport: readZReport(),
+        kermata: TameioEngine.parseAmount(cachedInputs['kermata'].value),
+        float: getOpeningFloat()
+    };
+}
+
+// Calculate all totals from the current field values
+function computeTotals() {
+    return TameioEngine.computeTotals(readClosingInput());
+}
+
+// Update all totals
+function updateTotals() {
+    applyBatchTotals();
+    const totals = computeTotals();
+
+    // Update totals using cached elements
+    cachedOutputs.grandTotal.textContent = formatCurrency(totals.tameio);
+    cachedOutputs.totalExoda.textContent = formatCurrency(totals.exoda);
+    cachedOutputs.cashTotal.textContent = formatCurrency(totals.cash);
+    cachedOutputs.cashLimTotal.textContent = formatCurrency(totals.cashLim);
+    cachedOutputs.incomeLimTotal.textContent = formatCurrency(totals.incomeLim);
+    updateFloatSummary();
+    updateZReconcile();
+    updateSafeStatus();
+}
+
+// Live Z report reconciliation under the Z report fields
+function updateZReconcile() {
+    const container = document.getElementById('z-reconcile');
+    const reconciliation = TameioEngine.reconcileZReport(readClosingInput());
+    container.innerHTML = reconciliation ? renderReportHtml(buildZReconcileBlocks(reconciliation)) : '';
+}
+
+// Format currency
+function formatCurrency(amount) {
+    return amount.toFixed(2) + '€';
+}
+
+// Short denomination label (50€, 2€, 20c)
+function formatDenomination(denom) {
+    return denom >= 1 ? `${denom}€` : `${(denom * 100).toFixed(0)}c`;
+}
+
+// Reset all inputs (a cashier needs a manager's approval)
+async function resetAll() {
+    if (!(await confirmManagerAction('Είστε σίγουροι ότι θέλετε να καθαρίσετε όλα τα πεδία;'))) return;
+
+    // Reset all inputs; the date stays and the empty form drops its draft
+    document.querySelectorAll('input[type="text"]:not(#user-date)').forEach(input => {
+        setFieldText(input, '');
+        input.classList.remove('invalid');
+    });
+    applyProfileName();
+
+    // Back to a single empty expense line
+    document.querySelectorAll('.exoda-category, .exoda-receipt').forEach(field => {
+        field.value = '';
+    });
+    createExodaFields(1);
+
+    // The date's handed-over shifts go too (undo brings them back with the form)
+    saveDayShifts(getFormDate(), []);
+
+    // Reset to amount mode
+    isCountMode = false;
+    document.getElementById('mode-amount').classList.add('active');
+    document.getElementById('mode-count').classList.remove('active');
+
+    updateShiftLabel();
+    applyRegisterSettings();
+    updateTotals();
+    saveAllValues();
+}
+
+// Toggle dark mode
+function toggleTheme() {
+    document.body.classList.toggle('dark-mode');
+    const isDarkMode = document.body.classList.contains('dark-mode');
+
+    // Update icon
+    const themeIcon = document.querySelector('.theme-icon');
+    themeIcon.textContent = isDarkMode ? '☀️' : '🌙';
+
+    // Save preference
+    localStorage.setItem('darkMode', isDarkMode);
+}
+
+// Load saved theme preference
+function loadTheme() {
     const isDarkMode = localStorage.getItem('darkMode') === 'true';
     if (isDarkMode) {
         document.body.classList.add('dark-mode');
@@ -537,172 +1733,1696 @@ function loadTheme() {
     }
 }
 
-// Show Στέλνω popup with summary and remaining bill/coin counts after fakelos
-// Returns label text of all currently invalid denomination inputs, or empty array if none
-function getInvalidFieldLabels() {
-    const labels = [];
-    for (const id of denominationFields) {
-        const input = cachedInputs[id];
-        if (input && input.classList.contains('invalid')) {
-            const label = document.querySelector(`label[for="${id}"]`);
-            labels.push(label ? label.textContent.trim() : id);
+// --- Tap-to-count ---
+
+// Counts in the tap-to-count counters: { [denomination id]: { units, loose } },
+// units being coin rolls or note bundles (TameioEngine.COUNT_UNITS)
+let tallyCounts = {};
+
+// Holding a +/- button repeats it after this delay, at this interval (ms)
+const TALLY_REPEAT_DELAY = 400;
+const TALLY_REPEAT_INTERVAL = 90;
+
+function showTally() {
+    // Start from the form; a count it still matches keeps its rolls and bundles
+    const current = getDenominationCounts();
+    const counts = {};
+    for (const id of denominationFields) {
+        const previous = tallyCounts[id];
+        const matches = previous && TameioEngine.piecesFromUnits(id, previous.units, previous.loose) === current[id];
+        counts[id] = matches ? previous : { units: 0, loose: current[id] };
+    }
+    tallyCounts = counts;
+
+    renderTally();
+    const overlay = document.getElementById('tally-overlay');
+    overlay.style.display = 'flex';
+    overlay.querySelector('.modal-content').scrollTop = 0;
+}
+
+function closeTally() {
+    document.getElementById('tally-overlay').style.display = 'none';
+}
+
+// One counter: −, the number and +, with what it counts below
+function renderTallyCounter(part, value, caption) {
+    let html = `<div class="tally-counter" data-part="${part}">`;
+    html += '<button type="button" class="tally-step" data-step="-1" aria-label="Λιγότερα">−</button>';
+    html += `<span class="tally-value">${value}</span>`;
+    html += '<button type="button" class="tally-step" data-step="1" aria-label="Περισσότερα">+</button>';
+    html += `<small>${caption}</small>`;
+    html += '</div>';
+    return html;
+}
+
+function renderTally() {
+    let html = '';
+    for (const id of denominationFields) {
+        const unit = TameioEngine.COUNT_UNITS[id];
+        const { units, loose } = tallyCounts[id];
+        html += `<div class="tally-row" data-id="${id}">`;
+        html += `<span class="tally-label">${formatDenomination(denominationValues[id])}</span>`;
+        html += renderTallyCounter('units', units, `${unit.name} ×${unit.size}`);
+        html += renderTallyCounter('loose', loose, 'τεμάχια');
+        html += '<span class="tally-pieces"></span>';
+        html += '</div>';
+    }
+    html += '<div class="stelno-row stelno-row-total"><span>Σύνολο</span><strong id="tally-total"></strong></div>';
+    const haptics = settings.tallyHaptics ? ' checked' : '';
+    html += `<label class="settings-check tally-haptics"><input type="checkbox" id="tally-haptics"${haptics}> Δόνηση σε κάθε πάτημα</label>`;
+
+    const body = document.getElementById('tally-body');
+    body.innerHTML = html;
+
+    body.querySelectorAll('.tally-row').forEach(row => {
+        row.querySelectorAll('.tally-counter').forEach(counter => {
+            counter.querySelectorAll('.tally-step').forEach(button => {
+                bindTallyStep(button, () => stepTally(row, counter.dataset.part, parseInt(button.dataset.step)));
+            });
+        });
+        updateTallyRow(row);
+    });
+
+    body.querySelector('#tally-haptics').addEventListener('change', (e) => {
+        settings.tallyHaptics = e.target.checked;
+        saveSettings();
+    });
+}
+
+// Tap steps once; holding the button keeps stepping until it's released
+function bindTallyStep(button, step) {
+    let delay = null;
+    let repeat = null;
+    const stop = () => {
+        clearTimeout(delay);
+        clearInterval(repeat);
+        delay = repeat = null;
+    };
+
+    button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        stop();
+        step();
+        delay = setTimeout(() => { repeat = setInterval(step, TALLY_REPEAT_INTERVAL); }, TALLY_REPEAT_DELAY);
+    });
+    for (const type of ['pointerup', 'pointerleave', 'pointercancel']) {
+        button.addEventListener(type, stop);
+    }
+    button.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    // Keyboard activation (pointer taps are handled on pointerdown)
+    button.addEventListener('click', (e) => {
+        if (e.detail === 0) step();
+    });
+}
+
+function stepTally(row, part, delta) {
+    const count = tallyCounts[row.dataset.id];
+    if (count[part] + delta < 0) return;
+    count[part] += delta;
+    if (settings.tallyHaptics && navigator.vibrate) navigator.vibrate(8);
+    updateTallyRow(row);
+}
+
+// Refresh one row's numbers and the overall total
+function updateTallyRow(row) {
+    const id = row.dataset.id;
+    const { units, loose } = tallyCounts[id];
+    const pieces = TameioEngine.piecesFromUnits(id, units, loose);
+    row.querySelector('[data-part="units"] .tally-value').textContent = units;
+    row.querySelector('[data-part="loose"] .tally-value').textContent = loose;
+    row.querySelector('.tally-pieces').textContent = pieces ? `${pieces} τεμ. · ${formatCurrency(pieces * denominationValues[id])}` : '';
+
+    const total = denominationFields.reduce((sum, field) => {
+        const count = tallyCounts[field];
+        return sum + TameioEngine.piecesFromUnits(field, count.units, count.loose) * denominationValues[field];
+    }, 0);
+    document.getElementById('tally-total').textContent = formatCurrency(TameioEngine.roundMoney(total));
+}
+
+// Write the counts into the denomination fields, in the form's current mode.
+// Rolls and bundles go in as an expression ('3*25+7'), so the form shows how they were counted.
+function applyTally() {
+    const current = getDenominationCounts();
+    for (const id of denominationFields) {
+        const { units, loose } = tallyCounts[id];
+        if (!units && loose === current[id]) continue;
+        setFieldText(cachedInputs[id], TameioEngine.unitCountText(id, units, loose, isCountMode));
+        validateInput(id);
+    }
+    closeTally();
+    updateTotals();
+    saveAllValues();
+}
+
+// --- Settings ---
+
+// Load settings from localStorage, filling in defaults for anything missing
+function loadSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem('settings')) || {};
+    } catch (e) {
+        saved = {};
+    }
+
+    const loaded = { ...JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), ...saved };
+    if (!Array.isArray(loaded.registers) || !loaded.registers.length) {
+        loaded.registers = JSON.parse(JSON.stringify(DEFAULT_SETTINGS.registers));
+    }
+    return loaded;
+}
+
+function saveSettings() {
+    localStorage.setItem('settings', JSON.stringify(settings));
+}
+
+// Register this device is closing (falls back to the first one)
+function getActiveRegister() {
+    return settings.registers.find(r => r.id === settings.activeRegister) || settings.registers[0];
+}
+
+// Opening float for ΜΕΤΡΗΤΑ: the counted composition if the register counts it
+// at opening and something was entered, otherwise the register's fixed amount
+function getOpeningFloat() {
+    const register = getActiveRegister();
+    // ΚΕΡΜΑΤΑ belong to the day: a later shift takes them over already counted
+    const shifts = getDayShifts();
+    const handedOver = shifts.length ? shifts[shifts.length - 1].kermata || 0 : 0;
+    const kermata = handedOver ? { kermata: handedOver } : {};
+
+    // The float is counted whenever there's a drawer to check it against
+    if (register.floatCounted || getExpectedOpening()) {
+        const counts = {};
+        let amount = 0;
+        let hasCount = false;
+        for (const id of denominationFields) {
+            const count = Math.trunc(TameioEngine.parseAmount(cachedInputs[`float-${id}`]?.value));
+            counts[id] = count;
+            amount += count * denominationValues[id];
+            if (count > 0) hasCount = true;
+        }
+        if (hasCount) {
+            return { amount: Math.round(amount * 100) / 100, counts, register: register.name, ...kermata };
+        }
+    }
+
+    return { amount: register.float, counts: null, register: register.name, ...kermata };
+}
+
+// Build the opening float count inputs (one per denomination, in pieces)
+function createFloatFields() {
+    const container = document.getElementById('float-container');
+
+    for (const id of denominationFields) {
+        const div = document.createElement('div');
+        div.className = 'input-group';
+
+        const label = document.createElement('label');
+        label.setAttribute('for', `float-${id}`);
+        label.textContent = formatDenomination(denominationValues[id]);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'numeric';
+        input.id = `float-${id}`;
+        input.placeholder = '0';
+        input.autocomplete = 'off';
+
+        const span = document.createElement('span');
+        span.className = 'currency';
+        span.textContent = '#';
+
+        div.appendChild(label);
+        div.appendChild(input);
+        div.appendChild(span);
+        container.appendChild(div);
+
+        cachedInputs[`float-${id}`] = input;
+    }
+
+    applyRegisterSettings();
+}
+
+// Show the float count section for registers that count it at opening and
+// whenever the drawer left by the previous shift or day is known
+function applyRegisterSettings() {
+    const register = getActiveRegister();
+    const counted = register.floatCounted || !!getExpectedOpening();
+    document.getElementById('float-section').style.display = counted ? '' : 'none';
+    updateFloatSummary();
+}
+
+// Drawer the opening count should match: what the previous shift handed over,
+// otherwise what the previous closing left (ΜΕΝΟΥΝ). Null when neither is known.
+function getExpectedOpening() {
+    const shifts = getDayShifts();
+    if (shifts.length) {
+        return { counts: shifts[shifts.length - 1].remainder, label: `Παράδοση βάρδιας ${shifts.length}` };
+    }
+    if (previousRemainder) {
+        return { counts: previousRemainder.counts, label: `ΜΕΝΟΥΝ ${isoToDMY(previousRemainder.date)}` };
+    }
+    return null;
+}
+
+// Counted float vs. the expected drawer (or the register's configured float),
+// flagging each denomination whose count differs from what was left
+function updateFloatSummary() {
+    const register = getActiveRegister();
+    const float = getOpeningFloat();
+    const el = document.getElementById('float-summary');
+    const counted = float.counts ? formatCurrency(float.amount) : '—';
+    const opening = getExpectedOpening();
+
+    const mismatched = [];
+    for (const id of denominationFields) {
+        const input = cachedInputs[`float-${id}`];
+        const expectedCount = opening ? opening.counts[id] || 0 : null;
+        input.placeholder = expectedCount ? expectedCount : '0';
+        const differs = !!float.counts && expectedCount !== null && float.counts[id] !== expectedCount;
+        input.classList.toggle('float-diff', differs);
+        if (differs) mismatched.push(formatDenomination(denominationValues[id]));
+    }
+
+    const expected = opening ? TameioEngine.sumCounts(opening.counts) : register.float;
+    const label = opening ? opening.label : register.name;
+    let text = `${label}: ${counted} / ${formatCurrency(expected)}`;
+    if (mismatched.length) text += ` · Διαφορά σε ${mismatched.join(', ')}`;
+
+    el.textContent = text;
+    el.classList.toggle('float-mismatch', !!float.counts && (mismatched.length > 0 || Math.abs(float.amount - expected) > 0.001));
+    document.getElementById('float-fill').style.display = opening ? '' : 'none';
+}
+
+// Fill the opening count with the expected drawer, to adjust where it differs
+function fillFloatFromExpected() {
+    const opening = getExpectedOpening();
+    if (!opening) return;
+    for (const id of denominationFields) {
+        setFieldText(cachedInputs[`float-${id}`], String(opening.counts[id] || ''));
+        cachedInputs[`float-${id}`].classList.remove('invalid');
+    }
+    updateTotals();
+    saveAllValues();
+}
+
+// Find what the last archived closing before the form's date left in the drawer.
+// Closings archived before the remainder was stored get it recomputed from their envelope.
+async function loadPreviousRemainder() {
+    const date = getFormDate();
+    previousRemainder = null;
+    try {
+        const closings = await archiveGetAllClosings();
+        const previous = closings.find(closing => closing.date < date && (closing.remainder || closing.envelope));
+        if (previous) {
+            previousRemainder = {
+                date: previous.date,
+                counts: previous.remainder || TameioEngine.computeRemainder(previous.counts, previous.envelope.used)
+            };
+        }
+    } catch (e) {
+        // No archive (private browsing): open without an expected drawer
+    }
+    applyRegisterSettings();
+    updateTotals();
+}
+
+// Shifts handed over per date, kept until the day is finalized or discarded:
+// { 'YYYY-MM-DD': [closing, ...] }
+function loadShifts() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem('shifts'));
+    } catch (e) {
+        saved = null;
+    }
+    if (!saved || typeof saved !== 'object') return {};
+    // Stored as { date, shifts } for a single date before drafts were kept per date
+    if (Array.isArray(saved.shifts)) return { [saved.date]: saved.shifts };
+    return saved;
+}
+
+// Shifts already handed over for a date (the form's by default)
+function getDayShifts(date = getFormDate()) {
+    return loadShifts()[date] || [];
+}
+
+function saveDayShifts(date, shifts) {
+    const saved = loadShifts();
+    if (shifts.length) {
+        saved[date] = shifts;
+    } else {
+        delete saved[date];
+    }
+    if (Object.keys(saved).length) {
+        localStorage.setItem('shifts', JSON.stringify(saved));
+    } else {
+        localStorage.removeItem('shifts');
+    }
+}
+
+function updateShiftLabel() {
+    document.getElementById('shift-label').textContent = `Βάρδια ${getDayShifts().length + 1}`;
+}
+
+// Close the current shift: keep its closing for the daily roll-up and hand
+// what stays in the drawer (ΜΕΝΟΥΝ) to the next cashier as their opening count
+function closeShift() {
+    const invalid = getInvalidFieldLabels();
+    if (invalid.length > 0) {
+        showInputError(`Λανθασμένη τιμή στο: ${invalid.join(', ')}`);
+        return;
+    }
+
+    const closing = collectClosing();
+    const shifts = getDayShifts();
+    const who = closing.name ? ` (${closing.name})` : '';
+    if (!confirm(`Κλείσιμο βάρδιας ${shifts.length + 1}${who}; Τα ΜΕΝΟΥΝ περνούν ως αρχικό ταμείο στην επόμενη βάρδια.`)) return;
+
+    const remainder = closing.remainder;
+    shifts.push({ ...closing, closedAt: Date.now() });
+    saveDayShifts(closing.date, shifts);
+
+    // Clear the shift's own entries; the date, ΚΕΡΜΑΤΑ and the Z report belong to the day
+    const shiftFields = [
+        'user-name',
+        ...denominationFields,
+        ...getChannelFields(),
+        ...Array.from({ length: currentExodaCount }, (_, i) => getExodaFieldIds(i + 1)).flat(),
+        ...Array.from({ length: currentBatchCount }, (_, i) => getBatchFieldIds(i + 1).slice(1)).flat()
+    ];
+    for (const id of shiftFields) {
+        setFieldText(cachedInputs[id], '');
+        cachedInputs[id].classList.remove('invalid');
+    }
+
+    // The next shift opens with the drawer as it was left
+    for (const id of denominationFields) {
+        setFieldText(cachedInputs[`float-${id}`], String(remainder[id] || ''));
+    }
+
+    document.getElementById('fakelos-result').style.display = 'none';
+    updateShiftLabel();
+    applyRegisterSettings();
+    updateTotals();
+    saveAllValues();
+
+    // The next cashier logs in with their own PIN
+    if (hasProfiles()) logOut();
+}
+
+function showSettings() {
+    renderSettings();
+    const overlay = document.getElementById('settings-overlay');
+    overlay.style.display = 'flex';
+    overlay.querySelector('.modal-content').scrollTop = 0;
+}
+
+function closeSettings() {
+    document.getElementById('settings-overlay').style.display = 'none';
+    settingsUnlocked = false;
+}
+
+// Registers and the float, channels, the envelope and users are a manager's;
+// a cashier sees the rest and can unlock them with a manager's PIN
+function renderSettings() {
+    const body = document.getElementById('settings-body');
+    const managed = isManager() || settingsUnlocked;
+    body.innerHTML = managed
+        ? renderStoreSettings() + renderRegisterSettings() + renderChannelSettings() + renderExpenseSettings() + renderEnvelopeSettings() + renderDraftSettings() + renderProfileSettings() + renderBackupSettings()
+        : renderSettingsLock() + renderStoreSettings() + renderExpenseSettings() + renderDraftSettings();
+    bindStoreSettings(body);
+    bindExpenseSettings(body);
+    bindDraftSettings(body);
+    if (managed) {
+        bindRegisterSettings(body);
+        bindChannelSettings(body);
+        bindEnvelopeSettings(body);
+        bindProfileSettings(body);
+        bindBackupSettings(body);
+    } else {
+        bindSettingsLock(body);
+    }
+}
+
+function renderSettingsLock() {
+    let html = '<div class="settings-section">';
+    html += '<div class="settings-hint">Τα ταμεία και το αρχικό ταμείο, τα κανάλια, ο φάκελος και οι χρήστες αλλάζουν μόνο από διαχειριστή.</div>';
+    html += '<button type="button" class="btn btn-secondary settings-add" id="settings-unlock">🔒 Ξεκλείδωμα με PIN διαχειριστή</button>';
+    html += '</div>';
+    return html;
+}
+
+function bindSettingsLock(body) {
+    body.querySelector('#settings-unlock').addEventListener('click', async () => {
+        if (!(await approveManagerAction('Αλλαγή ταμείων, καναλιών, φακέλου και χρηστών.'))) return;
+        settingsUnlocked = true;
+        renderSettings();
+    });
+}
+
+// Store name for the PDF export
+function renderStoreSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Κατάστημα</div>';
+    html += '<div class="settings-line">';
+    html += `<input type="text" class="settings-input" id="settings-store-name" value="${escapeHtml(settings.storeName)}" placeholder="Όνομα καταστήματος">`;
+    html += '</div>';
+    html += '</div>';
+    return html;
+}
+
+function bindStoreSettings(body) {
+    body.querySelector('#settings-store-name').addEventListener('change', (e) => {
+        settings.storeName = e.target.value.trim();
+        e.target.value = settings.storeName;
+        saveSettings();
+    });
+}
+
+// Registers and their opening float
+function renderRegisterSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Ταμεία & αρχικό ταμείο</div>';
+
+    for (const register of settings.registers) {
+        const active = register.id === getActiveRegister().id ? ' checked' : '';
+        const counted = register.floatCounted ? ' checked' : '';
+        html += `<div class="settings-card" data-register="${register.id}">`;
+        html += '<div class="settings-line">';
+        html += `<input type="radio" name="active-register" value="${register.id}"${active} aria-label="Ενεργό ταμείο">`;
+        html += `<input type="text" class="settings-input" data-field="name" value="${escapeHtml(register.name)}" placeholder="Όνομα ταμείου">`;
+        html += `<input type="text" class="settings-input settings-amount" data-field="float" inputmode="decimal" value="${register.float}">`;
+        html += '<span class="settings-unit">€</span>';
+        html += '</div>';
+        html += '<div class="settings-line">';
+        html += `<label class="settings-check"><input type="checkbox" data-field="floatCounted"${counted}> Καταμέτρηση ανά κομμάτι στο άνοιγμα</label>`;
+        if (settings.registers.length > 1) {
+            html += '<button type="button" class="settings-remove" data-action="remove-register">Διαγραφή</button>';
+        }
+        html += '</div>';
+        html += '</div>';
+    }
+
+    html += '<button type="button" class="btn btn-secondary settings-add" data-action="add-register">+ Ταμείο</button>';
+    html += '</div>';
+    return html;
+}
+
+function bindRegisterSettings(body) {
+    body.querySelectorAll('.settings-card[data-register]').forEach(card => {
+        const register = settings.registers.find(r => r.id === card.dataset.register);
+
+        card.querySelector('[name="active-register"]').addEventListener('change', () => {
+            settings.activeRegister = register.id;
+            onRegisterSettingsChanged();
+        });
+
+        card.querySelector('[data-field="name"]').addEventListener('change', (e) => {
+            register.name = e.target.value.trim() || register.name;
+            onRegisterSettingsChanged();
+        });
+
+        card.querySelector('[data-field="float"]').addEventListener('change', (e) => {
+            const amount = parseFloat(e.target.value.replace(',', '.'));
+            if (!isNaN(amount) && amount >= 0) {
+                register.float = Math.round(amount * 100) / 100;
+            }
+            e.target.value = register.float;
+            onRegisterSettingsChanged();
+        });
+
+        card.querySelector('[data-field="floatCounted"]').addEventListener('change', (e) => {
+            register.floatCounted = e.target.checked;
+            onRegisterSettingsChanged();
+        });
+
+        const removeBtn = card.querySelector('[data-action="remove-register"]');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                if (!confirm(`Διαγραφή του "${register.name}";`)) return;
+                settings.registers = settings.registers.filter(r => r !== register);
+                onRegisterSettingsChanged();
+                renderSettings();
+            });
+        }
+    });
+
+    body.querySelector('[data-action="add-register"]').addEventListener('click', () => {
+        const register = getActiveRegister();
+        settings.registers.push({
+            id: `reg-${Date.now().toString(36)}`,
+            name: `Ταμείο ${settings.registers.length + 1}`,
+            float: register.float,
+            floatCounted: register.floatCounted
+        });
+        onRegisterSettingsChanged();
+        renderSettings();
+    });
+}
+
+const CHANNEL_FLAG_LABELS = {
+    reducesCash: 'Αφαιρείται από ΜΕΤΡΗΤΑ',
+    incomeLim: 'Στα ΕΣΟΔΑ LIM',
+    delivery: 'Delivery'
+};
+
+// Payment channels and how each one enters the totals. Retired channels leave
+// the form but stay in settings, so they can be brought back.
+function renderChannelSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Κανάλια πληρωμής</div>';
+
+    settings.channels.forEach((channel, index) => {
+        const retired = channel.retired ? ' settings-card-retired' : '';
+        html += `<div class="settings-card${retired}" data-channel="${channel.id}">`;
+        html += '<div class="settings-line">';
+        html += `<input type="text" class="settings-input" data-field="label" value="${escapeHtml(channel.label)}" placeholder="Όνομα καναλιού">`;
+        html += `<button type="button" class="settings-move" data-action="up" aria-label="Πάνω"${index === 0 ? ' disabled' : ''}>▲</button>`;
+        html += `<button type="button" class="settings-move" data-action="down" aria-label="Κάτω"${index === settings.channels.length - 1 ? ' disabled' : ''}>▼</button>`;
+        html += '</div>';
+        html += '<div class="settings-line settings-flags">';
+        for (const [flag, label] of Object.entries(CHANNEL_FLAG_LABELS)) {
+            const checked = channel[flag] ? ' checked' : '';
+            html += `<label class="settings-check"><input type="checkbox" data-flag="${flag}"${checked}> ${label}</label>`;
+        }
+        html += `<button type="button" class="settings-remove" data-action="retire">${channel.retired ? 'Επαναφορά' : 'Απόσυρση'}</button>`;
+        html += '</div>';
+        html += '</div>';
+    });
+
+    html += '<button type="button" class="btn btn-secondary settings-add" data-action="add-channel">+ Κανάλι</button>';
+    html += '</div>';
+    return html;
+}
+
+function bindChannelSettings(body) {
+    body.querySelectorAll('.settings-card[data-channel]').forEach(card => {
+        const channel = settings.channels.find(c => c.id === card.dataset.channel);
+
+        card.querySelector('[data-field="label"]').addEventListener('change', (e) => {
+            channel.label = e.target.value.trim() || channel.label;
+            e.target.value = channel.label;
+            onChannelSettingsChanged();
+        });
+
+        card.querySelectorAll('[data-flag]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                channel[checkbox.dataset.flag] = checkbox.checked;
+                onChannelSettingsChanged();
+            });
+        });
+
+        card.querySelectorAll('.settings-move').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = settings.channels.indexOf(channel);
+                const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+                settings.channels.splice(index, 1);
+                settings.channels.splice(target, 0, channel);
+                onChannelSettingsChanged();
+                renderSettings();
+            });
+        });
+
+        card.querySelector('[data-action="retire"]').addEventListener('click', () => {
+            if (!channel.retired && TameioEngine.parseAmount(cachedInputs[channel.id].value) &&
+                !confirm(`Το "${channel.label}" έχει ποσό που θα αφαιρεθεί από το ταμείο. Απόσυρση;`)) return;
+            channel.retired = !channel.retired;
+            onChannelSettingsChanged();
+            renderSettings();
+        });
+    });
+
+    body.querySelector('[data-action="add-channel"]').addEventListener('click', () => {
+        settings.channels.push({
+            id: `ch-${Date.now().toString(36)}`,
+            label: `Κανάλι ${settings.channels.length + 1}`,
+            reducesCash: true,
+            incomeLim: false,
+            delivery: false,
+            retired: false
+        });
+        onChannelSettingsChanged();
+        renderSettings();
+    });
+}
+
+function onChannelSettingsChanged() {
+    saveSettings();
+    createChannelFields();
+    createBatchFields(currentBatchCount);
+    updateTotals();
+    saveAllValues();
+}
+
+// Expense categories and supplier presets. Retired categories leave the form
+// but stay in settings, so archived lines keep their IDs and they can be brought back.
+function renderExpenseSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Κατηγορίες εξόδων</div>';
+
+    for (const category of settings.expenseCategories) {
+        const retired = category.retired ? ' settings-card-retired' : '';
+        html += `<div class="settings-card${retired}" data-category="${category.id}">`;
+        html += '<div class="settings-line">';
+        html += `<input type="text" class="settings-input" data-field="label" value="${escapeHtml(category.label)}" placeholder="Όνομα κατηγορίας">`;
+        html += `<button type="button" class="settings-remove" data-action="retire">${category.retired ? 'Επαναφορά' : 'Απόσυρση'}</button>`;
+        html += '</div>';
+        html += '</div>';
+    }
+    html += '<button type="button" class="btn btn-secondary settings-add" data-action="add-category">+ Κατηγορία</button>';
+
+    html += '<div class="settings-hint">Προμηθευτές με την κατηγορία τους:</div>';
+    for (const preset of settings.expensePresets) {
+        html += `<div class="settings-card" data-preset="${preset.id}">`;
+        html += '<div class="settings-line">';
+        html += `<input type="text" class="settings-input" data-field="supplier" value="${escapeHtml(preset.supplier)}" placeholder="Προμηθευτής">`;
+        html += '<select class="settings-input" data-field="category">';
+        for (const category of [{ id: '', label: 'Χωρίς κατηγορία' }, ...getActiveExpenseCategories()]) {
+            const selected = preset.category === category.id ? ' selected' : '';
+            html += `<option value="${category.id}"${selected}>${escapeHtml(category.label)}</option>`;
+        }
+        html += '</select>';
+        html += '<button type="button" class="settings-remove" data-action="remove-preset">Διαγραφή</button>';
+        html += '</div>';
+        html += '</div>';
+    }
+    html += '<button type="button" class="btn btn-secondary settings-add" data-action="add-preset">+ Προμηθευτής</button>';
+    html += '</div>';
+    return html;
+}
+
+function bindExpenseSettings(body) {
+    body.querySelectorAll('.settings-card[data-category]').forEach(card => {
+        const category = settings.expenseCategories.find(c => c.id === card.dataset.category);
+
+        card.querySelector('[data-field="label"]').addEventListener('change', (e) => {
+            category.label = e.target.value.trim() || category.label;
+            e.target.value = category.label;
+            onExpenseSettingsChanged();
+            renderSettings();
+        });
+
+        card.querySelector('[data-action="retire"]').addEventListener('click', () => {
+            const inUse = readExoda().some(exodo => exodo.category === category.id);
+            if (!category.retired && inUse &&
+                !confirm(`Το "${category.label}" χρησιμοποιείται σε έξοδα της φόρμας, που θα μείνουν χωρίς κατηγορία. Απόσυρση;`)) return;
+            category.retired = !category.retired;
+            onExpenseSettingsChanged();
+            renderSettings();
+        });
+    });
+
+    body.querySelector('[data-action="add-category"]').addEventListener('click', () => {
+        settings.expenseCategories.push({
+            id: `cat-${Date.now().toString(36)}`,
+            label: `Κατηγορία ${settings.expenseCategories.length + 1}`,
+            retired: false
+        });
+        onExpenseSettingsChanged();
+        renderSettings();
+    });
+
+    body.querySelectorAll('.settings-card[data-preset]').forEach(card => {
+        const preset = settings.expensePresets.find(p => p.id === card.dataset.preset);
+
+        card.querySelector('[data-field="supplier"]').addEventListener('change', (e) => {
+            preset.supplier = e.target.value.trim() || preset.supplier;
+            e.target.value = preset.supplier;
+            onExpenseSettingsChanged();
+        });
+
+        card.querySelector('[data-field="category"]').addEventListener('change', (e) => {
+            preset.category = e.target.value;
+            onExpenseSettingsChanged();
+        });
+
+        card.querySelector('[data-action="remove-preset"]').addEventListener('click', () => {
+            settings.expensePresets = settings.expensePresets.filter(p => p !== preset);
+            onExpenseSettingsChanged();
+            renderSettings();
+        });
+    });
+
+    body.querySelector('[data-action="add-preset"]').addEventListener('click', () => {
+        settings.expensePresets.push({
+            id: `sup-${Date.now().toString(36)}`,
+            supplier: `Προμηθευτής ${settings.expensePresets.length + 1}`,
+            category: ''
+        });
+        onExpenseSettingsChanged();
+        renderSettings();
+    });
+}
+
+function onExpenseSettingsChanged() {
+    saveSettings();
+    createExodaFields(currentExodaCount);
+    renderExodaSuggestions();
+    updateTotals();
+    saveAllValues();
+}
+
+// How the fakelos picks pieces
+function renderEnvelopeSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Φάκελος</div>';
+    html += '<div class="settings-line">';
+    html += '<select class="settings-input" id="settings-envelope-preference">';
+    for (const [value, label] of Object.entries(ENVELOPE_PREFERENCE_LABELS)) {
+        const selected = settings.envelopePreference === value ? ' selected' : '';
+        html += `<option value="${value}"${selected}>${label}</option>`;
+    }
+    html += '</select>';
+    html += '</div>';
+
+    html += '<div class="settings-hint">Κράτα τουλάχιστον στο συρτάρι:</div>';
+    html += '<div class="settings-keep-grid">';
+    for (const id of denominationFields) {
+        const value = settings.envelopeKeep[id] || '';
+        html += '<label class="settings-keep">';
+        html += `<span>${formatDenomination(denominationValues[id])}</span>`;
+        html += `<input type="text" class="settings-input" inputmode="numeric" data-keep="${id}" value="${value}" placeholder="0">`;
+        html += '</label>';
+    }
+    html += '</div>';
+    html += '</div>';
+    return html;
+}
+
+function bindEnvelopeSettings(body) {
+    body.querySelector('#settings-envelope-preference').addEventListener('change', (e) => {
+        settings.envelopePreference = e.target.value;
+        saveSettings();
+    });
+
+    body.querySelectorAll('[data-keep]').forEach(input => {
+        input.addEventListener('change', () => {
+            const count = parseInt(input.value);
+            if (count > 0) {
+                settings.envelopeKeep[input.dataset.keep] = count;
+            } else {
+                delete settings.envelopeKeep[input.dataset.keep];
+            }
+            input.value = settings.envelopeKeep[input.dataset.keep] || '';
+            saveSettings();
+        });
+    });
+}
+
+// How long untouched drafts are kept
+function renderDraftSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Πρόχειρα</div>';
+    html += '<div class="settings-line">';
+    html += '<label class="settings-check" for="settings-draft-retention">Διαγραφή πρόχειρου χωρίς αλλαγές μετά από</label>';
+    html += `<input type="text" class="settings-input settings-amount" inputmode="numeric" id="settings-draft-retention" value="${settings.draftRetentionDays || ''}" placeholder="∞">`;
+    html += '<span class="settings-unit">ημέρες</span>';
+    html += '</div>';
+    html += '<div class="settings-hint">Κενό: τα πρόχειρα μένουν μέχρι να οριστικοποιηθούν ή να απορριφθούν.</div>';
+    html += '</div>';
+    return html;
+}
+
+function bindDraftSettings(body) {
+    body.querySelector('#settings-draft-retention').addEventListener('change', (e) => {
+        const days = parseInt(e.target.value);
+        settings.draftRetentionDays = days > 0 ? days : 0;
+        e.target.value = settings.draftRetentionDays || '';
+        saveSettings();
+    });
+}
+
+// Users, their role and PIN. The last manager can't be removed or demoted,
+// and nobody removes themselves.
+function renderProfileSettings() {
+    const managers = settings.profiles.filter(profile => profile.role === 'manager').length;
+
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Χρήστες</div>';
+
+    for (const profile of settings.profiles) {
+        const lastManager = profile.role === 'manager' && managers === 1;
+        const isActive = activeProfile && activeProfile.id === profile.id;
+        html += `<div class="settings-card" data-profile="${profile.id}">`;
+        html += '<div class="settings-line">';
+        html += `<input type="text" class="settings-input" data-field="name" value="${escapeHtml(profile.name)}" placeholder="Όνομα">`;
+        html += `<select class="settings-input" data-field="role"${lastManager ? ' disabled' : ''}>`;
+        for (const [role, label] of Object.entries(PROFILE_ROLE_LABELS)) {
+            html += `<option value="${role}"${profile.role === role ? ' selected' : ''}>${label}</option>`;
+        }
+        html += '</select>';
+        html += '</div>';
+        html += '<div class="settings-line">';
+        html += '<input type="password" class="settings-input" data-field="pin" inputmode="numeric" autocomplete="new-password" placeholder="Νέο PIN">';
+        if (!lastManager && !isActive) {
+            html += '<button type="button" class="settings-remove" data-action="remove-profile">Διαγραφή</button>';
+        }
+        html += '</div>';
+        html += '</div>';
+    }
+
+    html += '<div class="settings-card">';
+    html += '<div class="settings-line">';
+    html += '<input type="text" class="settings-input" id="settings-profile-name" placeholder="Όνομα">';
+    html += '<input type="password" class="settings-input" id="settings-profile-pin" inputmode="numeric" autocomplete="new-password" placeholder="PIN">';
+    if (settings.profiles.length) {
+        html += '<select class="settings-input" id="settings-profile-role">';
+        for (const [role, label] of Object.entries(PROFILE_ROLE_LABELS)) {
+            html += `<option value="${role}">${label}</option>`;
+        }
+        html += '</select>';
+    }
+    html += '</div>';
+    html += '</div>';
+    html += '<div id="settings-profile-error" class="input-error-msg" style="display:none;"></div>';
+    html += '<button type="button" class="btn btn-secondary settings-add" data-action="add-profile">+ Χρήστης</button>';
+    html += `<div class="settings-hint">${settings.profiles.length
+        ? 'PIN με 4 έως 8 ψηφία. Ο ταμίας μετρά και στέλνει· τα υπόλοιπα θέλουν διαχειριστή.'
+        : 'Χωρίς χρήστες δεν ζητείται σύνδεση. Ο πρώτος χρήστης είναι διαχειριστής και συνδέεται αμέσως.'}</div>`;
+    html += '</div>';
+    return html;
+}
+
+function bindProfileSettings(body) {
+    const errorEl = body.querySelector('#settings-profile-error');
+    const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.style.display = message ? 'block' : 'none';
+    };
+
+    body.querySelectorAll('.settings-card[data-profile]').forEach(card => {
+        const profile = settings.profiles.find(p => p.id === card.dataset.profile);
+
+        card.querySelector('[data-field="name"]').addEventListener('change', (e) => {
+            profile.name = e.target.value.trim() || profile.name;
+            e.target.value = profile.name;
+            onProfileSettingsChanged();
+        });
+
+        card.querySelector('[data-field="role"]').addEventListener('change', (e) => {
+            profile.role = e.target.value;
+            onProfileSettingsChanged();
+            renderSettings();
+        });
+
+        card.querySelector('[data-field="pin"]').addEventListener('change', (e) => {
+            const pin = e.target.value;
+            e.target.value = '';
+            if (!isValidPin(pin)) {
+                showError('Το PIN θέλει 4 έως 8 ψηφία');
+                return;
+            }
+            profile.pinHash = hashPin(profile, pin);
+            showError('');
+            saveSettings();
+        });
+
+        const removeBtn = card.querySelector('[data-action="remove-profile"]');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                if (!confirm(`Διαγραφή του χρήστη "${profile.name}";`)) return;
+                settings.profiles = settings.profiles.filter(p => p !== profile);
+                onProfileSettingsChanged();
+                renderSettings();
+            });
+        }
+    });
+
+    body.querySelector('[data-action="add-profile"]').addEventListener('click', () => {
+        const name = body.querySelector('#settings-profile-name').value.trim();
+        const pin = body.querySelector('#settings-profile-pin').value;
+        const roleSelect = body.querySelector('#settings-profile-role');
+        if (!name) {
+            showError('Γράψτε το όνομα του χρήστη');
+            return;
+        }
+        if (!isValidPin(pin)) {
+            showError('Το PIN θέλει 4 έως 8 ψηφία');
+            return;
         }
+
+        const profile = { id: `usr-${Date.now().toString(36)}`, name, role: roleSelect ? roleSelect.value : 'manager' };
+        profile.pinHash = hashPin(profile, pin);
+        settings.profiles.push(profile);
+        // Whoever sets up the first user carries on as that user
+        if (settings.profiles.length === 1) logIn(profile);
+        onProfileSettingsChanged();
+        renderSettings();
+    });
+}
+
+function onProfileSettingsChanged() {
+    saveSettings();
+    applyProfileName();
+    updateProfileButton();
+}
+
+// Backups of the whole device and the reminder to take one
+function renderBackupSettings() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Αντίγραφο ασφαλείας</div>';
+    html += '<div class="settings-line">';
+    html += '<label class="settings-check" for="settings-backup-reminder">Υπενθύμιση όταν δεν έχει ληφθεί αντίγραφο για</label>';
+    html += `<input type="text" class="settings-input settings-amount" inputmode="numeric" id="settings-backup-reminder" value="${settings.backupReminderDays || ''}" placeholder="—">`;
+    html += '<span class="settings-unit">ημέρες</span>';
+    html += '</div>';
+    html += `<div class="settings-hint">${describeLastBackup()}</div>`;
+    html += '<button type="button" class="btn btn-secondary settings-add" id="settings-backup-open">Λήψη & επαναφορά αντιγράφου</button>';
+    html += '</div>';
+    return html;
+}
+
+function bindBackupSettings(body) {
+    body.querySelector('#settings-backup-reminder').addEventListener('change', (e) => {
+        const days = parseInt(e.target.value);
+        settings.backupReminderDays = days > 0 ? days : 0;
+        e.target.value = settings.backupReminderDays || '';
+        saveSettings();
+        updateBackupReminder();
+    });
+    body.querySelector('#settings-backup-open').addEventListener('click', showBackup);
+}
+
+function onRegisterSettingsChanged() {
+    saveSettings();
+    applyRegisterSettings();
+    updateTotals();
+}
+
+// --- Users ---
+// Local profiles with a PIN. Cashiers enter counts and send; clearing the form,
+// going back to past dates, saving over an archived closing and the register,
+// channel and envelope settings need a manager, logged in or typing their PIN
+// to approve. With no profiles set up there's no login and nothing is locked.
+
+const PROFILE_ROLE_LABELS = {
+    cashier: 'Ταμίας',
+    manager: 'Διαχειριστής'
+};
+
+// Salted with the profile ID, so equal PINs don't show up as equal hashes.
+// This keeps PINs out of the settings, not out of reach of someone with the device.
+function hashPin(profile, pin) {
+    return TameioAudit.sha256(`${profile.id}:${pin}`);
+}
+
+function isValidPin(pin) {
+    return /^\d{4,8}$/.test(pin);
+}
+
+function hasProfiles() {
+    return settings.profiles.length > 0;
+}
+
+function isManager() {
+    return !hasProfiles() || Boolean(activeProfile && activeProfile.role === 'manager');
+}
+
+// The session's user stays logged in across reloads; a new session asks again
+function restoreSession() {
+    const id = sessionStorage.getItem('activeProfile');
+    activeProfile = settings.profiles.find(profile => profile.id === id) || null;
+    applyProfileName();
+    updateProfileButton();
+    updateBackupReminder();
+    if (hasProfiles() && !activeProfile) showLogin();
+}
+
+function logIn(profile) {
+    activeProfile = profile;
+    sessionStorage.setItem('activeProfile', profile.id);
+    applyProfileName();
+    updateProfileButton();
+    updateBackupReminder();
+    saveAllValues();
+}
+
+function logOut() {
+    activeProfile = null;
+    sessionStorage.removeItem('activeProfile');
+    closeSettings();
+    closeBackup();
+    applyProfileName();
+    updateProfileButton();
+    updateBackupReminder();
+    showLogin();
+}
+
+// With profiles the name is the logged-in user's and isn't typed
+function applyProfileName() {
+    const input = cachedInputs['user-name'];
+    input.readOnly = hasProfiles();
+    if (hasProfiles()) input.value = activeProfile ? activeProfile.name : '';
+}
+
+function updateProfileButton() {
+    const btn = document.getElementById('profile-btn');
+    btn.style.display = activeProfile ? '' : 'none';
+    btn.textContent = activeProfile ? `👤 ${activeProfile.name}` : '';
+}
+
+function showLogin() {
+    document.getElementById('login-profile').innerHTML = settings.profiles
+        .map(profile => `<option value="${profile.id}">${escapeHtml(profile.name)} · ${PROFILE_ROLE_LABELS[profile.role]}</option>`)
+        .join('');
+    document.getElementById('login-pin').value = '';
+    showLoginError('');
+    document.getElementById('login-overlay').style.display = 'flex';
+}
+
+function submitLogin() {
+    const id = document.getElementById('login-profile').value;
+    const profile = settings.profiles.find(p => p.id === id);
+    const pinInput = document.getElementById('login-pin');
+    if (!profile || hashPin(profile, pinInput.value) !== profile.pinHash) {
+        pinInput.value = '';
+        showLoginError('Λάθος PIN');
+        return;
     }
-    return labels;
+    document.getElementById('login-overlay').style.display = 'none';
+    logIn(profile);
 }
 
-let inputErrorTimeout = null;
-function showInputError(message) {
-    const el = document.getElementById('input-error-msg');
-    el.textContent = message;
-    el.style.display = 'block';
-    if (inputErrorTimeout) clearTimeout(inputErrorTimeout);
-    inputErrorTimeout = setTimeout(() => { el.style.display = 'none'; }, 3500);
+function showLoginError(message) {
+    const errorEl = document.getElementById('login-error');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
 }
 
-function showStelno() {
-    const invalid = getInvalidFieldLabels();
-    if (invalid.length > 0) {
-        showInputError(`Λανθασμένη τιμή στο: ${invalid.join(', ')}`);
+// Let a cashier go ahead with `reason` once a manager types their PIN.
+// Resolves to false when turned down, otherwise to { approver }: the manager
+// who approved, or null when no approval was needed.
+function approveManagerAction(reason) {
+    if (isManager()) return Promise.resolve({ approver: null });
+
+    finishApproval(false);
+    return new Promise(resolve => {
+        approvalResolve = resolve;
+        document.getElementById('approval-message').textContent = reason;
+        document.getElementById('approval-pin').value = '';
+        showApprovalError('');
+        document.getElementById('approval-overlay').style.display = 'flex';
+    });
+}
+
+// Managers confirm as usual; a cashier's confirmation is a manager's PIN
+async function confirmManagerAction(question) {
+    if (isManager()) return confirm(question) && { approver: null };
+    return approveManagerAction(question);
+}
+
+function submitApproval() {
+    const pinInput = document.getElementById('approval-pin');
+    const manager = settings.profiles.find(profile => profile.role === 'manager' && hashPin(profile, pinInput.value) === profile.pinHash);
+    if (!manager) {
+        pinInput.value = '';
+        showApprovalError('Λάθος PIN διαχειριστή');
         return;
     }
+    finishApproval({ approver: manager });
+}
+
+function finishApproval(result) {
+    document.getElementById('approval-overlay').style.display = 'none';
+    const resolve = approvalResolve;
+    approvalResolve = null;
+    if (resolve) resolve(result);
+}
+
+function showApprovalError(message) {
+    const errorEl = document.getElementById('approval-error');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+// Saving a date that's already in the history changes a closing that was sent
+async function approveArchive(date) {
+    if (isManager() || !(await archiveGetClosing(date))) return { approver: null };
+    return approveManagerAction(`Το κλείσιμο ${isoToDMY(date)} έχει ήδη αποθηκευτεί. Αλλαγή του αποθηκευμένου κλεισίματος;`);
+}
+
+// Move the form to a date picked by hand; days before today need a manager
+async function openFormDate(date) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (date < today && !(await approveManagerAction(`Άνοιγμα παλαιότερης ημερομηνίας (${formatDateDMY(date)}).`))) return false;
+    switchFormDate(date);
+    return true;
+}
+
+// --- Backup ---
+// The whole device (localStorage and the archive database) in one file
+// encrypted with a passphrase (backup.js), and restored from it. Both are a
+// manager's: the file holds everything and restoring replaces everything.
+
+function getLastBackupAt() {
+    return parseInt(localStorage.getItem('lastBackupAt')) || null;
+}
+
+function describeLastBackup() {
+    const last = getLastBackupAt();
+    return last ? `Τελευταίο αντίγραφο: ${formatDraftSavedAt(last)}` : 'Δεν έχει ληφθεί αντίγραφο από αυτή τη συσκευή.';
+}
+
+// Reminder banner for managers once settings.backupReminderDays have passed;
+// Αργότερα hides it for the rest of the session
+function updateBackupReminder() {
+    const last = getLastBackupAt();
+    const due = isManager() && !sessionStorage.getItem('backupReminderSnoozed')
+        && TameioBackup.isBackupDue(last, settings.backupReminderDays, Date.now());
+    document.getElementById('backup-reminder').style.display = due ? 'flex' : 'none';
+    if (!due) return;
+    const days = last ? Math.floor((Date.now() - last) / (24 * 60 * 60 * 1000)) : null;
+    document.getElementById('backup-reminder-text').textContent = days === null
+        ? 'Δεν έχει ληφθεί αντίγραφο ασφαλείας'
+        : `Τελευταίο αντίγραφο ασφαλείας πριν από ${days} ημέρες`;
+}
+
+function showBackup() {
+    closeSettings();
+    renderBackup();
+    showBackupError('');
+    const overlay = document.getElementById('backup-overlay');
+    overlay.style.display = 'flex';
+    overlay.querySelector('.modal-content').scrollTop = 0;
+}
+
+function closeBackup() {
+    document.getElementById('backup-overlay').style.display = 'none';
+}
+
+function renderBackup() {
+    let html = '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Λήψη αντιγράφου</div>';
+    html += '<div class="settings-hint">Ρυθμίσεις, πρόχειρα, ιστορικό, χρηματοκιβώτιο, φωτογραφίες αποδείξεων και αρχείο αλλαγών σε ένα κρυπτογραφημένο αρχείο. Χωρίς τη φράση δεν ανοίγει ούτε επαναφέρεται.</div>';
+    html += '<div class="settings-line">';
+    html += '<input type="password" class="settings-input" id="backup-pass" autocomplete="new-password" placeholder="Φράση (8+ χαρακτήρες)">';
+    html += '</div>';
+    html += '<div class="settings-line">';
+    html += '<input type="password" class="settings-input" id="backup-pass-confirm" autocomplete="new-password" placeholder="Ξανά η φράση">';
+    html += '</div>';
+    html += '<button type="button" class="btn btn-primary settings-add" id="backup-create">Λήψη αντιγράφου</button>';
+    html += `<div class="settings-hint">${describeLastBackup()}</div>`;
+    html += '</div>';
+
+    html += '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Επαναφορά</div>';
+    html += '<div class="settings-hint">Όλα τα δεδομένα αυτής της συσκευής αντικαθίστανται με του αντιγράφου.</div>';
+    html += '<div class="settings-line">';
+    html += '<input type="password" class="settings-input" id="backup-restore-pass" autocomplete="off" placeholder="Φράση του αντιγράφου">';
+    html += '</div>';
+    html += '<button type="button" class="btn btn-secondary settings-add" id="backup-restore-btn">Επαναφορά από αρχείο</button>';
+    html += '</div>';
+
+    const body = document.getElementById('backup-body');
+    body.innerHTML = html;
+    body.querySelector('#backup-create').addEventListener('click', downloadBackup);
+    body.querySelector('#backup-restore-btn').addEventListener('click', () => {
+        if (!body.querySelector('#backup-restore-pass').value) {
+            showBackupError('Γράψτε τη φράση του αντιγράφου');
+            return;
+        }
+        showBackupError('');
+        document.getElementById('backup-restore-input').click();
+    });
+}
+
+function showBackupError(message) {
+    const errorEl = document.getElementById('backup-error');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+// Every localStorage key but the time of the last backup
+function readLocalData() {
+    const local = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key !== 'lastBackupAt') local[key] = localStorage.getItem(key);
+    }
+    return local;
+}
 
-    const tameioVal = cachedOutputs.grandTotal.textContent;
-    const cashVal = cachedOutputs.cashTotal.textContent;
-    const exodaVal = cachedOutputs.totalExoda.textContent;
+async function downloadBackup() {
+    const passphrase = document.getElementById('backup-pass').value;
+    if (passphrase.length < 8) {
+        showBackupError('Η φράση θέλει τουλάχιστον 8 χαρακτήρες');
+        return;
+    }
+    if (passphrase !== document.getElementById('backup-pass-confirm').value) {
+        showBackupError('Οι δύο φράσεις διαφέρουν');
+        return;
+    }
+    if (!TameioBackup.isSupported()) {
+        showBackupError('Η κρυπτογράφηση χρειάζεται σύνδεση https');
+        return;
+    }
 
-    // Get current counts for all denominations
-    const billDenoms = [100, 50, 20, 10, 5];
-    const coinDenoms = [2, 1, 0.5, 0.2, 0.1, 0.05];
+    const btn = document.getElementById('backup-create');
+    const orig = btn.textContent;
+    btn.textContent = '...';
+    btn.disabled = true;
+    showBackupError('');
 
-    const billCounts = {};
-    for (const id of denominations.bills) {
-        const denom = denominationValues[id];
-        const rawValue = parseFloat(cachedInputs[id].value) || 0;
-        billCounts[denom] = isCountMode ? Math.round(rawValue) : Math.round(rawValue / denom);
+    try {
+        // What's in the form right now goes in too
+        saveAllValues();
+        const contents = await TameioBackup.buildContents({
+            local: readLocalData(),
+            archive: await archiveGetAllRecords(),
+            archiveVersion: ARCHIVE_DB_VERSION
+        });
+        const text = await TameioBackup.createBackup(contents, passphrase);
+        downloadText(text, 'application/json', `tameio-backup-${toIsoDate(new Date(contents.createdAt))}.json`);
+        localStorage.setItem('lastBackupAt', String(contents.createdAt));
+        updateBackupReminder();
+        renderBackup();
+    } catch (e) {
+        btn.textContent = orig;
+        btn.disabled = false;
+        showBackupError('Η δημιουργία του αντιγράφου απέτυχε');
     }
+}
+
+// Days whose audit log no longer checks out in the backup's archive
+function countUnverifiedAuditLogs(archive) {
+    return archive.closings.filter(closing => {
+        const log = archive.auditLog.filter(entry => entry.date === closing.date).sort((a, b) => a.seq - b.seq);
+        const { status } = TameioAudit.verifyLog(log, closing);
+        return status === 'broken' || status === 'mismatch';
+    }).length;
+}
 
-    const coinCounts = {};
-    for (const id of denominations.coins) {
-        const denom = denominationValues[id];
-        const rawValue = parseFloat(cachedInputs[id].value) || 0;
-        coinCounts[denom] = isCountMode ? Math.round(rawValue) : Math.round(rawValue / denom);
+// Replace everything on the device with a backup file, then start over from it
+async function restoreBackup(e) {
+    const input = e.target;
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    showBackupError('');
+    if (!TameioBackup.isSupported()) {
+        showBackupError('Η κρυπτογράφηση χρειάζεται σύνδεση https');
+        return;
     }
 
-    // Run the same greedy fakelos algorithm to find what goes in the envelope
-    const cashTotal = parseFloat(cachedOutputs.cashTotal.textContent.replace('€', '')) || 0;
-    let remaining = Math.round(cashTotal * 100) / 100;
+    try {
+        const passphrase = document.getElementById('backup-restore-pass').value;
+        const { contents, errors } = await TameioBackup.openBackup(await file.text(), passphrase, ARCHIVE_DB_VERSION);
+        if (errors.length) {
+            showBackupError(`Η επαναφορά ακυρώθηκε. ${errors.slice(0, 3).join('. ')}`);
+            return;
+        }
 
-    const usedBills = {};
-    for (const denom of billDenoms) {
-        if (remaining <= 0) break;
-        const needed = Math.floor(remaining / denom);
-        const used = Math.min(needed, billCounts[denom] || 0);
-        if (used > 0) {
-            usedBills[denom] = used;
-            remaining -= used * denom;
-            remaining = Math.round(remaining * 100) / 100;
+        const { archive, local } = contents;
+        let drafts = 0;
+        try {
+            drafts = Object.keys(JSON.parse(local.drafts || '{}')).length;
+        } catch (err) {
+            drafts = 0;
         }
+        let summary = `Επαναφορά του αντιγράφου της ${formatDraftSavedAt(contents.createdAt)}:`;
+        summary += `\n${archive.closings.length} ημέρες στο ιστορικό\n${archive.safeLedger.length} κινήσεις χρηματοκιβωτίου`;
+        summary += `\n${archive.receipts.length} φωτογραφίες αποδείξεων\n${drafts} πρόχειρα`;
+        const unverified = countUnverifiedAuditLogs(archive);
+        if (unverified) summary += `\n⚠ ${unverified} ημέρες με αρχείο αλλαγών που δεν επαληθεύεται`;
+        summary += '\n\nΌλα τα τωρινά δεδομένα της συσκευής αντικαθίστανται.';
+        if (!confirm(summary)) return;
+
+        // Leaving the page would save the form over the restored drafts
+        window.removeEventListener('pagehide', saveAllValues);
+        // localStorage goes first so it can be put back if the archive (replaced
+        // in one transaction) fails: either both are restored or neither
+        let previous = null;
+        try {
+            previous = replaceLocalData({ ...local, lastBackupAt: String(contents.createdAt) });
+            await archiveReplaceAllRecords(TameioBackup.archiveRecords(contents));
+        } catch (err) {
+            if (previous) replaceLocalData(previous);
+            window.addEventListener('pagehide', saveAllValues);
+            throw err;
+        }
+        location.reload();
+    } catch (err) {
+        showBackupError('Η επαναφορά απέτυχε· τα δεδομένα της συσκευής δεν άλλαξαν');
     }
+}
 
-    const usedCoins = {};
-    for (const denom of coinDenoms) {
-        if (remaining <= 0) break;
-        const needed = Math.floor((remaining + 0.001) / denom);
-        const used = Math.min(needed, coinCounts[denom] || 0);
-        if (used > 0) {
-            usedCoins[denom] = used;
-            remaining -= used * denom;
-            remaining = Math.round(remaining * 100) / 100;
-        }
+// Replace every localStorage key with { key: text } and return the keys it
+// had before. If a write fails (storage full) those are put back before the
+// error is rethrown, so a half-written restore is never left behind.
+function replaceLocalData(local) {
+    const previous = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        previous[key] = localStorage.getItem(key);
+    }
+    const write = entries => {
+        localStorage.clear();
+        for (const [key, value] of Object.entries(entries)) localStorage.setItem(key, value);
+    };
+    try {
+        write(local);
+    } catch (err) {
+        write(previous);
+        throw err;
     }
+    return previous;
+}
 
-    // Get name and date
-    const userName = cachedInputs['user-name'].value || '';
-    const userDate = cachedInputs['user-date'].value || '';
+const SAFE_ENTRY_LABELS = {
+    deposit: 'Κατάθεση φακέλου',
+    withdrawal: 'Ανάληψη για ψιλά',
+    'coin-rolls': 'Αγορά ρολών κερμάτων',
+    adjustment: 'Διόρθωση'
+};
+
+async function loadSafeLedger() {
+    try {
+        safeEntries = await archiveGetSafeEntries();
+    } catch (e) {
+        safeEntries = [];
+    }
+    updateSafeStatus();
+}
+
+// Safe balance the ledger expects on the form's date (null while the ledger is empty)
+function getSafeExpected() {
+    return safeEntries.length ? TameioEngine.safeBalance(safeEntries, getFormDate()) : null;
+}
 
-    // Build popup HTML
-    let html = '<div class="stelno-totals">';
+// Expected safe balance under ΚΕΡΜΑΤΑ, flagging the entered amount when it differs
+function updateSafeStatus() {
+    const el = document.getElementById('safe-status');
+    const input = cachedInputs['kermata'];
+    const expected = getSafeExpected();
 
-    if (userName || userDate) {
-        html += `<div class="stelno-row stelno-row-info"><span>${userName}</span><span>${userDate}</span></div>`;
+    if (expected === null) {
+        el.textContent = '';
+        input.classList.remove('float-diff');
+        return;
     }
 
-    html += `<div class="stelno-row"><span>ΤΑΜΕΙΟ</span><strong>${tameioVal}</strong></div>`;
-    html += `<div class="stelno-row"><span>ΜΕΤΡΗΤΑ</span><strong>${cashVal}</strong></div>`;
-    html += `<div class="stelno-row"><span>ΕΞΟΔΑ</span><strong>${exodaVal}</strong></div>`;
+    const entered = input.value !== '';
+    const diff = TameioEngine.roundMoney(TameioEngine.parseAmount(input.value) - expected);
+    const differs = entered && diff !== 0;
+    let text = `Βιβλίο: ${formatCurrency(expected)}`;
+    if (differs) text += ` · Διαφορά ${diff > 0 ? '+' : ''}${formatCurrency(diff)}`;
 
-    // Individual exoda breakdown
-    for (let i = 1; i <= currentExodaCount; i++) {
-        const amount = parseFloat(cachedInputs[`exoda-${i}`]?.value) || 0;
-        if (amount === 0) continue;
-        const desc = cachedInputs[`exoda-desc-${i}`]?.value || '';
-        const label = desc ? desc : `Έξοδα ${i}`;
-        html += `<div class="stelno-row stelno-row-exodo"><span>${label}</span><strong>${formatCurrency(amount)}</strong></div>`;
+    el.textContent = text;
+    el.classList.toggle('float-mismatch', differs);
+    input.classList.toggle('float-diff', differs);
+}
+
+function showSafe() {
+    renderSafe();
+    const overlay = document.getElementById('safe-overlay');
+    overlay.style.display = 'flex';
+    overlay.querySelector('.modal-content').scrollTop = 0;
+}
+
+function closeSafe() {
+    document.getElementById('safe-overlay').style.display = 'none';
+}
+
+// New entry form and the ledger, newest first with the running balance
+function renderSafe() {
+    const body = document.getElementById('safe-body');
+    let html = `<div class="stelno-row stelno-row-total"><span>Υπόλοιπο</span><strong>${formatCurrency(TameioEngine.safeBalance(safeEntries))}</strong></div>`;
+
+    html += '<div class="settings-section">';
+    html += '<div class="stelno-section-title">Νέα κίνηση</div>';
+    html += '<div class="settings-line">';
+    html += '<select class="settings-input" id="safe-type">';
+    for (const type of TameioEngine.SAFE_ENTRY_TYPES) {
+        html += `<option value="${type}">${SAFE_ENTRY_LABELS[type]}</option>`;
     }
+    html += '</select>';
+    html += '<input type="text" class="settings-input settings-amount" id="safe-amount" inputmode="decimal" placeholder="0">';
+    html += '<span class="settings-unit">€</span>';
+    html += '</div>';
+    html += '<div class="settings-line">';
+    html += '<input type="text" class="settings-input" id="safe-reason" placeholder="Αιτία">';
+    html += `<input type="text" class="settings-input" id="safe-user" placeholder="Χρήστης" value="${escapeHtml(cachedInputs['user-name'].value)}">`;
+    html += '</div>';
+    html += '<div class="settings-line">';
+    html += '<button type="button" class="btn btn-secondary settings-add" id="safe-envelope">Φάκελος σήμερα</button>';
+    html += '<button type="button" class="btn btn-primary settings-add" id="safe-add">Καταχώριση</button>';
+    html += '</div>';
+    html += '<div class="settings-hint">Η διόρθωση δέχεται και αρνητικό ποσό.</div>';
+    html += '<div id="safe-error" class="input-error-msg" style="display:none;"></div>';
+    html += '</div>';
 
-    // Wolt, Efood, myPos, Eurobank (only if non-zero)
-    const otherFields = [
-        { id: 'wolt', label: 'WOLT' },
-        { id: 'efood', label: 'EFOOD' },
-        { id: 'mypos', label: 'myPos' },
-        { id: 'eurobank', label: 'Eurobank' }
-    ];
-    for (const { id, label } of otherFields) {
-        const amount = parseFloat(cachedInputs[id].value) || 0;
-        if (amount === 0) continue;
-        html += `<div class="stelno-row"><span>${label}</span><strong>${formatCurrency(amount)}</strong></div>`;
+    if (safeEntries.length) {
+        html += '<div class="stelno-section-title">Κινήσεις</div>';
+        let balance = TameioEngine.safeBalance(safeEntries);
+        for (const entry of [...safeEntries].reverse()) {
+            const amount = TameioEngine.safeEntryAmount(entry);
+            html += `<div class="stelno-row"><span>${isoToDMY(entry.date)} · ${SAFE_ENTRY_LABELS[entry.type]}</span><strong>${amount > 0 ? '+' : ''}${formatCurrency(amount)}</strong></div>`;
+            html += `<div class="stelno-row stelno-row-exodo"><span>${escapeHtml(entry.reason)} · ${escapeHtml(entry.user)}</span><span>${formatCurrency(balance)}</span></div>`;
+            balance = TameioEngine.roundMoney(balance - amount);
+        }
     }
 
-    // Σύνολο Delivery = WOLT + EFOOD (only if at least one is non-zero)
-    const woltAmount = parseFloat(cachedInputs['wolt'].value) || 0;
-    const efoodAmount = parseFloat(cachedInputs['efood'].value) || 0;
-    const totalDelivery = woltAmount + efoodAmount;
-    if (totalDelivery > 0) {
-        html += `<div class="stelno-row stelno-row-total"><span>Σύνολο Delivery</span><strong>${formatCurrency(totalDelivery)}</strong></div>`;
+    body.innerHTML = html;
+
+    body.querySelector('#safe-envelope').addEventListener('click', () => {
+        body.querySelector('#safe-type').value = 'deposit';
+        body.querySelector('#safe-amount').value = collectDayClosing().envelope.total.toFixed(2);
+        body.querySelector('#safe-reason').value = `Φάκελος ${cachedInputs['user-date'].value}`;
+    });
+    body.querySelector('#safe-add').addEventListener('click', addSafeEntry);
+}
+
+function showSafeError(message) {
+    const el = document.getElementById('safe-error');
+    el.textContent = message;
+    el.style.display = 'block';
+}
+
+// Record the entry from the form; every movement needs an amount, a reason and a user
+async function addSafeEntry() {
+    const type = document.getElementById('safe-type').value;
+    const amount = parseFloat(document.getElementById('safe-amount').value.replace(',', '.'));
+    const reason = document.getElementById('safe-reason').value.trim();
+    const user = document.getElementById('safe-user').value.trim();
+
+    if (isNaN(amount) || amount === 0 || (type !== 'adjustment' && amount < 0)) {
+        showSafeError('Μη έγκυρο ποσό');
+        return;
+    }
+    if (!reason || !user) {
+        showSafeError('Συμπληρώστε αιτία και χρήστη');
+        return;
     }
 
-    html += '</div>';
+    try {
+        await archiveAddSafeEntry({
+            date: getFormDate(),
+            type,
+            amount: TameioEngine.roundMoney(amount),
+            reason,
+            user,
+            createdAt: Date.now()
+        });
+    } catch (e) {
+        showSafeError('Η καταχώριση απέτυχε');
+        return;
+    }
+    await loadSafeLedger();
+    renderSafe();
+}
 
-    // Remaining bills after fakelos (compact inline, only non-zero)
-    const remainingBills = billDenoms
-        .map(d => ({ denom: d, left: Math.max(0, (billCounts[d] || 0) - (usedBills[d] || 0)) }))
-        .filter(b => b.left > 0);
+// Show Στέλνω popup with summary and remaining bill/coin counts after fakelos
+// Returns label text of all currently invalid denomination inputs, or empty array if none
+function getInvalidFieldLabels() {
+    const labels = [];
+    for (const id of denominationFields) {
+        const input = cachedInputs[id];
+        if (input && input.classList.contains('invalid')) {
+            const label = document.querySelector(`label[for="${id}"]`);
+            labels.push(label ? label.textContent.trim() : id);
+        }
+    }
 
-    if (remainingBills.length) {
-        html += '<div class="stelno-section-title">Χαρτονομίσματα</div>';
-        html += '<div class="stelno-denoms-wrap">';
-        for (const b of remainingBills) {
-            html += `<span class="stelno-denom-row"><span class="stelno-denom-count">${b.left}</span>×${b.denom}€</span>`;
+    // Any other field holding an expression that doesn't work out
+    for (const [id, input] of Object.entries(cachedInputs)) {
+        if (denominationFields.includes(id) || !isNumericField(input) || !input.isConnected) continue;
+        if (input.value && isNaN(TameioEngine.evaluateExpression(input.value))) {
+            labels.push(getFieldLabel(id, { channelDefs: readChannelDefs() }));
         }
-        html += '</div>';
     }
+    return labels;
+}
+
+// Label of a form field for messages and the expression review, also for archived closings
+function getFieldLabel(id, closing) {
+    const channel = TameioEngine.getChannelDefs(closing).find(def => def.id === id);
+    if (channel) return channel.label;
+    const label = document.querySelector(`label[for="${id}"]`);
+    const text = label ? label.textContent.trim() : id;
+    return id.startsWith('float-') ? `Αρχικό ταμείο ${text}` : text;
+}
+
+let inputErrorTimeout = null;
+function showInputError(message) {
+    const el = document.getElementById('input-error-msg');
+    el.textContent = message;
+    el.style.display = 'block';
+    if (inputErrorTimeout) clearTimeout(inputErrorTimeout);
+    inputErrorTimeout = setTimeout(() => { el.style.display = 'none'; }, 3500);
+}
+
+// Piece counts per denomination field, regardless of the input mode
+function getDenominationCounts() {
+    const values = {};
+    for (const id of denominationFields) {
+        values[id] = cachedInputs[id].value;
+    }
+    return TameioEngine.countsFromValues(values, isCountMode);
+}
+
+// Snapshot of the current closing as a plain object (used for the popup and the archive)
+function collectClosing() {
+    const userDate = cachedInputs['user-date'].value || '';
+    const closing = readClosingInput();
+    const result = TameioEngine.computeClosing(closing, {
+        preference: settings.envelopePreference,
+        keep: settings.envelopeKeep
+    });
+
+    return {
+        date: toIsoDate(parseDateDMY(userDate) || new Date()),
+        userDate,
+        name: cachedInputs['user-name'].value || '',
+        ...closing,
+        totals: result.totals,
+        envelope: result.envelope,
+        remainder: result.remainder,
+        reconciliation: result.reconciliation,
+        safeExpected: getSafeExpected(),
+        savedAt: Date.now()
+    };
+}
+
+// Closing for the whole day: the current closing, or the roll-up of the
+// shifts handed over today plus the one still open
+function collectDayClosing() {
+    const current = collectClosing();
+    const shifts = getDayShifts();
+    if (!shifts.length) return current;
+
+    const allShifts = [...shifts, current];
+    const names = [...new Set(allShifts.map(shift => shift.name).filter(Boolean))];
+    return {
+        date: current.date,
+        userDate: current.userDate,
+        name: names.join(' / '),
+        ...TameioEngine.rollUpShifts(allShifts),
+        shifts: allShifts,
+        safeExpected: current.safeExpected,
+        savedAt: current.savedAt
+    };
+}
+
+// Escape user text before inserting it into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    // Remaining coins after fakelos (compact inline, only non-zero)
-    const remainingCoins = coinDenoms
-        .map(d => ({ denom: d, left: Math.max(0, (coinCounts[d] || 0) - (usedCoins[d] || 0)) }))
-        .filter(c => c.left > 0);
+// Build the Στέλνω summary HTML for a closing (live or archived)
+function buildStelnoHtml(closing) {
+    return renderReportHtml(buildReportBlocks(closing));
+}
 
-    if (remainingCoins.length) {
-        html += '<div class="stelno-section-title">Κέρματα</div>';
-        html += '<div class="stelno-denoms-wrap">';
-        for (const c of remainingCoins) {
-            const label = c.denom >= 1 ? `${c.denom}€` : `${(c.denom * 100).toFixed(0)}c`;
-            html += `<span class="stelno-denom-row"><span class="stelno-denom-count">${c.left}</span>×${label}</span>`;
+// Render report blocks (report.js) as popup HTML
+function renderReportHtml(blocks) {
+    let html = '';
+    for (const block of blocks) {
+        if (block.type === 'info') {
+            html += `<div class="stelno-row stelno-row-info"><span>${escapeHtml(block.left)}</span><span>${escapeHtml(block.right)}</span></div>`;
+        } else if (block.type === 'section') {
+            html += `<div class="stelno-section-title">${escapeHtml(block.title)}</div>`;
+        } else if (block.type === 'denoms') {
+            html += '<div class="stelno-denoms-wrap">';
+            for (const item of block.items) {
+                html += `<span class="stelno-denom-row"><span class="stelno-denom-count">${item.count}</span>×${item.label}</span>`;
+            }
+            html += '</div>';
+        } else if (block.type === 'group') {
+            html += `<div class="z-reconcile${block.flag ? ' z-unbalanced' : ''}">${renderReportHtml(block.blocks)}</div>`;
+        } else {
+            const classes = ['stelno-row'];
+            if (block.style === 'sub') classes.push('stelno-row-exodo');
+            if (block.style === 'total') classes.push('stelno-row-total');
+            if (block.flag) classes.push('z-diff');
+            if (block.spaced) classes.push('stelno-row-spaced');
+            html += `<div class="${classes.join(' ')}"><span>${escapeHtml(block.label)}</span><strong>${escapeHtml(block.value)}</strong></div>`;
         }
-        html += '</div>';
     }
+    return html;
+}
 
-    // Χρηματοκιβώτιο (ΚΕΡΜΑΤΑ field value)
-    const kermataVal = formatCurrency(parseFloat(cachedInputs['kermata'].value) || 0);
-    html += `<div class="stelno-row" style="margin-top:4px;"><span>Χρηματοκιβώτιο</span><strong>${kermataVal}</strong></div>`;
+function showStelno() {
+    const invalid = getInvalidFieldLabels();
+    if (invalid.length > 0) {
+        showInputError(`Λανθασμένη τιμή στο: ${invalid.join(', ')}`);
+        return;
+    }
 
-    document.getElementById('stelno-body').innerHTML = html;
+    const closing = collectDayClosing();
+    document.getElementById('stelno-body').innerHTML = buildStelnoHtml(closing);
+    const receipts = document.getElementById('stelno-receipts');
+    receipts.innerHTML = '';
+    renderReceiptThumbs(receipts, closing);
     const overlay = document.getElementById('stelno-overlay');
     overlay.style.display = 'flex';
     overlay.querySelector('.modal-content').scrollTop = 0;
 }
 
+// Store the current closing in the archive (Στέλνω confirm or after sharing),
+// with the manager who approved saving over an archived one
+async function archiveCurrentClosing(approver = null) {
+    const closing = collectDayClosing();
+    await archiveClosingAudited(closing, 'save', approver);
+    return closing;
+}
+
+// Who the audit log names for a save from this device: the logged-in user,
+// or the name in the form without profiles
+function getAuditUser(closing, approver) {
+    const user = activeProfile ? activeProfile.name : (cachedInputs['user-name'].value || closing.name || '').trim();
+    return approver ? `${user} (έγκριση: ${approver.name})` : user;
+}
+
+// Archive a closing and append what changed since the archived copy to the
+// day's audit log ('save' from the form, 'import' from a file)
+async function archiveClosingAudited(closing, action, approver = null) {
+    const [before, log] = await Promise.all([archiveGetClosing(closing.date), archiveGetAuditLog(closing.date)]);
+    const user = getAuditUser(closing, approver);
+    const entries = TameioAudit.buildEntries(log, before || null, closing, { user, at: Date.now(), action });
+    const auditHead = entries.length ? entries[entries.length - 1].hash : before && before.auditHead;
+    await archivePutClosingWithAudit({ ...closing, auditHead }, entries);
+}
+
+// Confirm button in the Στέλνω popup
+async function confirmStelno() {
+    const btn = document.getElementById('stelno-save');
+    try {
+        const approval = await approveArchive(getFormDate());
+        if (!approval) return;
+        await archiveCurrentClosing(approval.approver);
+        btn.textContent = '✓ Αποθηκεύτηκε';
+    } catch (e) {
+        showInputError('Η αποθήκευση στο ιστορικό απέτυχε');
+    }
+}
+
 // Close Στέλνω popup
 function closeStelno() {
     document.getElementById('stelno-overlay').style.display = 'none';
@@ -712,54 +3432,93 @@ function closeStelno() {
     if (receiptInput) receiptInput.value = '';
     const receiptBtn = document.getElementById('stelno-receipt-btn');
     if (receiptBtn) receiptBtn.textContent = 'Απόδειξη';
+    document.getElementById('stelno-save').textContent = 'Αποθήκευση';
+    document.getElementById('stelno-error').style.display = 'none';
+    document.getElementById('stelno-receipts').innerHTML = '';
+    revokeReceiptThumbs();
 }
 
-// Share Στέλνω popup content as image
+// Share the Στέλνω report as an image
 async function shareStelno() {
     const btn = document.getElementById('stelno-share');
     const orig = btn.textContent;
     btn.textContent = '...';
     btn.disabled = true;
+    document.getElementById('stelno-error').style.display = 'none';
 
     try {
-        const modalContent = document.querySelector('#stelno-overlay .modal-content');
-        // Temporarily hide the action buttons so they don't appear in the screenshot
-        const actions = modalContent.querySelector('.modal-actions');
-        actions.style.display = 'none';
-
-        const canvas = await html2canvas(modalContent, {
-            backgroundColor: null,
-            scale: 2
-        });
-
-        actions.style.display = '';
+        // Drawn from the closing data, in the current theme
+        const theme = document.body.classList.contains('dark-mode') ? 'dark' : 'light';
+        const closing = collectDayClosing();
+        // Asked before sending, since sending saves it over the archived copy
+        const approval = await approveArchive(closing.date);
+        if (!approval) return;
+        const canvas = renderReportCanvas(closing, theme);
 
         const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
         const file = new File([blob], 'stelno.png', { type: 'image/png' });
+        const receipts = (await loadReceiptPhotos(closing)).map(photo => photo.file);
+        await shareOrDownload([file, ...(stelnoReceiptFile ? [stelnoReceiptFile] : []), ...receipts]);
+
+        // Keep a permanent copy of what was sent
+        await archiveCurrentClosing(approval.approver);
+        document.getElementById('stelno-save').textContent = '✓ Αποθηκεύτηκε';
+    } catch (e) {
+        showStelnoError(e, 'Η κοινοποίηση απέτυχε');
+    } finally {
+        btn.textContent = orig;
+        btn.disabled = false;
+    }
+}
 
-        const filesToShare = stelnoReceiptFile ? [file, stelnoReceiptFile] : [file];
+// One-page PDF of the closing with the attached Z receipt, for the accountant
+async function exportStelnoPdf() {
+    const btn = document.getElementById('stelno-pdf');
+    const orig = btn.textContent;
+    btn.textContent = '...';
+    btn.disabled = true;
+    document.getElementById('stelno-error').style.display = 'none';
 
-        if (navigator.canShare && navigator.canShare({ files: filesToShare })) {
-            await navigator.share({ files: filesToShare });
-        } else {
-            // Fallback: download the image
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'stelno.png';
-            a.click();
-            URL.revokeObjectURL(url);
-        }
+    try {
+        const closing = collectDayClosing();
+        const approval = await approveArchive(closing.date);
+        if (!approval) return;
+        const blob = await buildClosingPdf(closing, stelnoReceiptFile, settings.storeName);
+        await shareOrDownload([new File([blob], `tameio-${closing.date}.pdf`, { type: 'application/pdf' })]);
+
+        // Keep a permanent copy of what was sent
+        await archiveCurrentClosing(approval.approver);
+        document.getElementById('stelno-save').textContent = '✓ Αποθηκεύτηκε';
     } catch (e) {
-        // user cancelled or error — do nothing
-        const actions = document.querySelector('#stelno-overlay .modal-actions');
-        if (actions) actions.style.display = '';
+        showStelnoError(e, 'Η δημιουργία του PDF απέτυχε');
     } finally {
         btn.textContent = orig;
         btn.disabled = false;
     }
 }
 
+// Share files through the share sheet, or download the first one where sharing files isn't supported
+async function shareOrDownload(files) {
+    if (navigator.canShare && navigator.canShare({ files })) {
+        await navigator.share({ files });
+        return;
+    }
+    const url = URL.createObjectURL(files[0]);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = files[0].name;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function showStelnoError(e, message) {
+    // Cancelling the share sheet is not an error
+    if (e.name === 'AbortError') return;
+    const errorEl = document.getElementById('stelno-error');
+    errorEl.textContent = `${message}${e.message ? `: ${e.message}` : ''}`;
+    errorEl.style.display = 'block';
+}
+
 // Calculate ΦΑΚΕΛΟΣ - breakdown of bills and coins to reach ΜΕΤΡΗΤΑ amount
 function calculateFakelos() {
     const invalid = getInvalidFieldLabels();
@@ -768,70 +3527,13 @@ function calculateFakelos() {
         return;
     }
 
-    // Get the current ΜΕΤΡΗΤΑ value
-    const cashTotalText = cachedOutputs.cashTotal.textContent;
-    const cashTotal = parseFloat(cashTotalText.replace('€', '')) || 0;
-
-    // Get counts of available bills and coins
-    const billCounts = {};
-    for (const id of denominations.bills) {
-        const denom = denominationValues[id];
-        const rawValue = parseFloat(cachedInputs[id].value) || 0;
-        billCounts[denom] = isCountMode ? Math.round(rawValue) : Math.round(rawValue / denom);
-    }
-
-    const coinCounts = {};
-    for (const id of denominations.coins) {
-        const denom = denominationValues[id];
-        const rawValue = parseFloat(cachedInputs[id].value) || 0;
-        coinCounts[denom] = isCountMode ? Math.round(rawValue) : Math.round(rawValue / denom);
-    }
-
-    // Calculate breakdown - greedy algorithm starting with highest denominations
-    const billDenominations = [100, 50, 20, 10, 5];
-    const coinDenominations = [2, 1, 0.5, 0.2, 0.1, 0.05];
-    const usedBills = {};
-    const usedCoins = {};
-    let remaining = Math.round(cashTotal * 100) / 100; // Round to avoid floating point issues
-    let billsTotal = 0;
-    let coinsTotal = 0;
-
-    // First, use bills
-    for (const denom of billDenominations) {
-        if (remaining <= 0) break;
-
-        const needed = Math.floor(remaining / denom);
-        const available = billCounts[denom];
-        const used = Math.min(needed, available);
-
-        if (used > 0) {
-            usedBills[denom] = used;
-            const amount = used * denom;
-            remaining -= amount;
-            billsTotal += amount;
-            remaining = Math.round(remaining * 100) / 100;
-        }
-    }
-
-    // Then, use coins for the remainder
-    for (const denom of coinDenominations) {
-        if (remaining <= 0) break;
-
-        // Use Math.floor with epsilon handling for small denominations
-        const needed = Math.floor((remaining + 0.001) / denom);
-        const available = coinCounts[denom];
-        const used = Math.min(needed, available);
-
-        if (used > 0) {
-            usedCoins[denom] = used;
-            const amount = used * denom;
-            remaining -= amount;
-            coinsTotal += amount;
-            remaining = Math.round(remaining * 100) / 100;
-        }
-    }
-
-    const grandTotal = billsTotal + coinsTotal;
+    // Exact breakdown of ΜΕΤΡΗΤΑ if one exists, otherwise the closest amount below it
+    const closing = readClosingInput();
+    const { totals, envelope, remainder } = TameioEngine.computeClosing(closing, {
+        preference: settings.envelopePreference,
+        keep: settings.envelopeKeep
+    });
+    const cashTotal = totals.cash;
 
     // Display the result
     const resultDiv = document.getElementById('fakelos-result');
@@ -843,28 +3545,21 @@ function calculateFakelos() {
         html = '<p class="fakelos-message">Δεν υπάρχουν μετρητά για φάκελο.</p>';
     } else {
         // ΒΑΖΕΙΣ section - what to put in envelope
-        let hasBills = Object.keys(usedBills).length > 0;
-        let hasCoins = Object.keys(usedCoins).length > 0;
+        const hasPieces = Object.keys(envelope.used).length > 0;
 
-        if (hasBills || hasCoins) {
+        if (hasPieces) {
             html += '<div class="fakelos-section fakelos-put">';
             html += '<h4 class="fakelos-section-title">ΒΑΖΕΙΣ</h4>';
             html += '<div class="fakelos-items">';
 
-            for (const denom of billDenominations) {
-                if (usedBills[denom] && usedBills[denom] > 0) {
-                    html += `<div class="fakelos-item"><span class="item-count">${usedBills[denom]}</span><span class="item-denom">× ${denom}€</span></div>`;
-                }
-            }
-            for (const denom of coinDenominations) {
-                if (usedCoins[denom] && usedCoins[denom] > 0) {
-                    const denomLabel = denom >= 1 ? `${denom}€` : `${(denom * 100).toFixed(0)}c`;
-                    html += `<div class="fakelos-item"><span class="item-count">${usedCoins[denom]}</span><span class="item-denom">× ${denomLabel}</span></div>`;
+            for (const id of denominationFields) {
+                if (envelope.used[id] > 0) {
+                    html += `<div class="fakelos-item"><span class="item-count">${envelope.used[id]}</span><span class="item-denom">× ${formatDenomination(denominationValues[id])}</span></div>`;
                 }
             }
 
             html += '</div>';
-            html += `<div class="fakelos-section-total">${grandTotal.toFixed(2)}€</div>`;
+            html += `<div class="fakelos-section-total">${envelope.total.toFixed(2)}€</div>`;
             html += '</div>';
         }
 
@@ -873,33 +3568,38 @@ function calculateFakelos() {
         html += '<h4 class="fakelos-section-title">ΜΕΝΟΥΝ</h4>';
         html += '<div class="fakelos-items">';
 
-        let remainingTotal = 0;
-        for (const denom of billDenominations) {
-            const left = Math.max(0, (billCounts[denom] || 0) - (usedBills[denom] || 0));
-            remainingTotal += left * denom;
-            html += `<div class="fakelos-item"><span class="item-count">${left}</span><span class="item-denom">× ${denom}€</span></div>`;
-        }
-        for (const denom of coinDenominations) {
-            const left = Math.max(0, (coinCounts[denom] || 0) - (usedCoins[denom] || 0));
-            remainingTotal += left * denom;
-            const denomLabel = denom >= 1 ? `${denom}€` : `${(denom * 100).toFixed(0)}c`;
-            html += `<div class="fakelos-item"><span class="item-count">${left}</span><span class="item-denom">× ${denomLabel}</span></div>`;
+        for (const id of denominationFields) {
+            const left = remainder[id];
+            const belowTarget = left < (settings.envelopeKeep[id] || 0) ? ' fakelos-item-short' : '';
+            html += `<div class="fakelos-item${belowTarget}"><span class="item-count">${left}</span><span class="item-denom">× ${formatDenomination(denominationValues[id])}</span></div>`;
         }
 
         html += '</div>';
-        html += `<div class="fakelos-section-total">${remainingTotal.toFixed(2)}€</div>`;
+        html += `<div class="fakelos-section-total">${TameioEngine.sumCounts(remainder).toFixed(2)}€</div>`;
         html += '</div>';
 
-        if (!hasBills && !hasCoins) {
+        // Explain every denomination the envelope had to take from the kept minimum
+        const dippedIds = denominationFields.filter(id => envelope.dipped[id] > 0);
+        if (dippedIds.length) {
+            html += '<div class="fakelos-notes">';
+            for (const id of dippedIds) {
+                const label = formatDenomination(denominationValues[id]);
+                const left = remainder[id];
+                html += `<p>${label}: μπήκαν ${envelope.dipped[id]} από τα ${settings.envelopeKeep[id]} που κρατάμε (μένουν ${left}) για να βγει ακριβές ποσό.</p>`;
+            }
+            html += '</div>';
+        }
+
+        if (!hasPieces) {
             html += '<p class="fakelos-message">Δεν υπάρχουν διαθέσιμα χαρτονομίσματα ή κέρματα.</p>';
         }
 
-        // Show uncovered amount if any
-        if (remaining > 0.001) {
+        // Show uncovered amount only when no exact combination exists
+        if (envelope.shortfall > 0.001) {
             html += `
                 <div class="fakelos-warning">
                     <span>Λείπουν:</span>
-                    <strong>${remaining.toFixed(2)}€</strong>
+                    <strong>${envelope.shortfall.toFixed(2)}€</strong>
                 </div>
             `;
         }
@@ -912,6 +3612,621 @@ function calculateFakelos() {
     resultDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+// Labels for the fakelos preference picker in settings
+const ENVELOPE_PREFERENCE_LABELS = {
+    fewest: 'Λιγότερα κομμάτια',
+    'keep-change': 'Κράτα τα ψιλά στο συρτάρι'
+};
+
+// --- History ---
+
+// Archive dates ticked for comparison
+let historySelected = new Set();
+
+// Rows shown in the comparison table: [label, getter]
+const HISTORY_COMPARE_ROWS = [
+    ['ΤΑΜΕΙΟ', c => c.totals.tameio],
+    ['ΕΞΟΔΑ', c => c.totals.exoda],
+    ['ΜΕΤΡΗΤΑ', c => c.totals.cash],
+    ['ΜΕΤΡΗΤΑ LIM', c => c.totals.cashLim],
+    ['ΕΣΟΔΑ LIM', c => c.totals.incomeLim],
+    ['Αρχικό ταμείο', c => c.float ? c.float.amount : LEGACY_FLOAT],
+    ['Χρηματοκιβώτιο', c => c.kermata]
+];
+
+// One compare row per channel found in any of the compared closings
+function getHistoryChannelRows(closings) {
+    const labels = new Map();
+    for (const closing of closings) {
+        for (const { id, label } of TameioEngine.getChannelDefs(closing)) {
+            if (!labels.has(id)) labels.set(id, label);
+        }
+    }
+    return [...labels].map(([id, label]) => [escapeHtml(label), c => c.channels[id] || 0]);
+}
+
+async function showHistory() {
+    historySelected = new Set();
+    document.getElementById('history-error').style.display = 'none';
+    document.getElementById('history-overlay').style.display = 'flex';
+    await renderHistoryList();
+}
+
+function closeHistory() {
+    document.getElementById('history-overlay').style.display = 'none';
+    revokeReceiptThumbs();
+}
+
+// List of archived closings, newest first
+async function renderHistoryList() {
+    const body = document.getElementById('history-body');
+    setHistoryListActions(true);
+
+    let closings;
+    try {
+        closings = await archiveGetAllClosings();
+    } catch (e) {
+        body.innerHTML = '<p class="fakelos-message">Το ιστορικό δεν είναι διαθέσιμο σε αυτή τη συσκευή.</p>';
+        return;
+    }
+
+    if (!closings.length) {
+        body.innerHTML = '<p class="fakelos-message">Δεν υπάρχουν αποθηκευμένα κλεισίματα.</p>';
+        return;
+    }
+
+    let html = '<div class="history-list">';
+    for (const closing of closings) {
+        const checked = historySelected.has(closing.date) ? ' checked' : '';
+        html += `<div class="history-row" data-date="${closing.date}">`;
+        html += `<input type="checkbox" class="history-check" data-date="${closing.date}"${checked} aria-label="Επιλογή για σύγκριση">`;
+        html += `<span class="history-date">${isoToDMY(closing.date)}</span>`;
+        html += `<span class="history-name">${escapeHtml(closing.name)}</span>`;
+        html += `<strong>${formatCurrency(closing.totals.cash)}</strong>`;
+        html += '</div>';
+    }
+    html += '</div>';
+    body.innerHTML = html;
+
+    body.querySelectorAll('.history-check').forEach(box => {
+        box.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (box.checked) {
+                historySelected.add(box.dataset.date);
+            } else {
+                historySelected.delete(box.dataset.date);
+            }
+        });
+    });
+
+    body.querySelectorAll('.history-row').forEach(row => {
+        row.addEventListener('click', () => renderHistoryDetail(row.dataset.date));
+    });
+}
+
+// Read-only view of one archived closing
+async function renderHistoryDetail(date) {
+    const closing = await archiveGetClosing(date);
+    if (!closing) return;
+
+    let html = '<button type="button" class="history-back" id="history-back">‹ Πίσω</button>';
+    html += buildStelnoHtml(closing);
+
+    // Full count as entered, before the envelope was taken out
+    html += '<div class="stelno-section-title">Καταμέτρηση</div>';
+    html += '<div class="stelno-denoms-wrap">';
+    for (const id of denominationFields) {
+        const count = closing.counts[id] || 0;
+        if (count === 0) continue;
+        html += `<span class="stelno-denom-row"><span class="stelno-denom-count">${count}</span>×${formatDenomination(denominationValues[id])}</span>`;
+    }
+    html += '</div>';
+
+    // Sums typed into the fields, per shift when the day had several
+    const sources = closing.shifts || [closing];
+    const typed = sources.flatMap((source, index) => Object.entries(source.expressions || {}).map(([id, expression]) => {
+        const shift = sources.length > 1 ? `${index + 1}. ` : '';
+        return { label: `${shift}${getFieldLabel(id, source)}`, expression, result: TameioEngine.evaluateExpression(expression) };
+    }));
+    if (typed.length) {
+        html += '<div class="stelno-section-title">Πράξεις</div>';
+        for (const { label, expression, result } of typed) {
+            html += `<div class="stelno-row stelno-row-exodo"><span>${escapeHtml(label)}: ${escapeHtml(expression)}</span><strong>${result}</strong></div>`;
+        }
+    }
+    html += '<div id="history-receipts"></div>';
+    html += '<button type="button" class="history-back history-audit-link" id="history-audit">Αρχείο αλλαγών ›</button>';
+
+    revokeReceiptThumbs();
+    document.getElementById('history-body').innerHTML = html;
+    setHistoryListActions(false);
+    document.getElementById('history-back').addEventListener('click', renderHistoryList);
+    document.getElementById('history-audit').addEventListener('click', () => renderHistoryAudit(date));
+    renderReceiptThumbs(document.getElementById('history-receipts'), closing);
+    document.querySelector('#history-overlay .modal-content').scrollTop = 0;
+}
+
+// Audit log field IDs without a label in the form
+const AUDIT_FIELD_LABELS = {
+    '': 'Πρώτη αποθήκευση',
+    'user-name': 'Όνομα',
+    float: 'Αρχικό ταμείο',
+    register: 'Ταμείο',
+    envelope: 'Φάκελος',
+    'total-tameio': 'ΤΑΜΕΙΟ',
+    'total-exoda': 'ΕΞΟΔΑ',
+    'total-cash': 'ΜΕΤΡΗΤΑ',
+    'total-cash-lim': 'ΜΕΤΡΗΤΑ LIM',
+    'total-income-lim': 'ΕΣΟΔΑ LIM',
+    'total-delivery': 'Delivery'
+};
+
+// Expense and batch line fields: pattern -> label
+const AUDIT_LINE_LABELS = [
+    [/^exoda-(\d+)$/, 'ΈΞΟΔΑ $1'],
+    [/^exoda-desc-(\d+)$/, 'ΈΞΟΔΑ $1 · Περιγραφή'],
+    [/^exoda-category-(\d+)$/, 'ΈΞΟΔΑ $1 · Κατηγορία'],
+    [/^exoda-invoice-(\d+)$/, 'ΈΞΟΔΑ $1 · Τιμολόγιο'],
+    [/^batch-(\d+)$/, 'BATCH $1'],
+    [/^batch-channel-(\d+)$/, 'BATCH $1 · Κανάλι'],
+    [/^batch-terminal-(\d+)$/, 'BATCH $1 · Τερματικό'],
+    [/^batch-no-(\d+)$/, 'BATCH $1 · Batch/Z']
+];
+
+const AUDIT_ACTION_LABELS = {
+    create: 'Αποθήκευση',
+    save: 'Αλλαγή',
+    import: 'Εισαγωγή'
+};
+
+function getAuditFieldLabel(field, closing) {
+    if (AUDIT_FIELD_LABELS.hasOwnProperty(field)) return AUDIT_FIELD_LABELS[field];
+    const line = AUDIT_LINE_LABELS.find(([pattern]) => pattern.test(field));
+    return line ? field.replace(line[0], line[1]) : getFieldLabel(field, closing);
+}
+
+// A logged value as the viewer shows it: bill, coin and float counts are pieces
+function formatAuditValue(field, value) {
+    if (!value) return '—';
+    const pieces = denominationValues.hasOwnProperty(field) || floatFields.includes(field);
+    return pieces ? `${value} τεμ.` : value;
+}
+
+// What checking a day's log found, for the viewer
+function describeAuditStatus(result, log) {
+    if (result.status === 'ok') return { ok: true, text: `✓ Ακέραιο αρχείο (${log.length} εγγραφές)` };
+    if (result.status === 'empty') return { ok: true, text: 'Αποθηκεύτηκε πριν την καταγραφή αλλαγών.' };
+    if (result.status === 'mismatch') return { ok: false, text: '✗ Το κλείσιμο άλλαξε χωρίς να καταγραφεί.' };
+    return {
+        ok: false,
+        text: result.brokenAt < log.length
+            ? `✗ Η εγγραφή ${result.brokenAt + 1} έχει αλλοιωθεί ή λείπει εγγραφή πριν από αυτή.`
+            : '✗ Λείπουν εγγραφές από το τέλος του αρχείου.'
+    };
+}
+
+// Every save of an archived closing, newest first, with whether the chain holds
+async function renderHistoryAudit(date) {
+    const [closing, log] = await Promise.all([archiveGetClosing(date), archiveGetAuditLog(date)]);
+    const status = describeAuditStatus(TameioAudit.verifyLog(log, closing), log);
+
+    let html = '<button type="button" class="history-back" id="history-back">‹ Πίσω</button>';
+    html += `<div class="stelno-section-title">Αρχείο αλλαγών ${isoToDMY(date)}</div>`;
+    html += `<div class="audit-status${status.ok ? '' : ' broken'}">${status.text}</div>`;
+
+    html += '<div class="audit-list">';
+    for (const entry of log.slice().reverse()) {
+        const label = getAuditFieldLabel(entry.field, closing || {});
+        html += '<div class="audit-row">';
+        html += `<span class="audit-when">${formatDraftSavedAt(entry.at)}</span>`;
+        html += `<span class="audit-who">${escapeHtml(entry.user || '—')} · ${AUDIT_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</span>`;
+        html += `<span class="audit-field">${escapeHtml(label)}</span>`;
+        if (entry.field) {
+            html += `<span class="audit-change">${escapeHtml(formatAuditValue(entry.field, entry.from))} → ${escapeHtml(formatAuditValue(entry.field, entry.to))}</span>`;
+        }
+        html += '</div>';
+    }
+    html += '</div>';
+
+    if (log.length) {
+        html += '<div class="audit-export">';
+        html += '<button type="button" class="btn btn-secondary" id="audit-export-csv">CSV</button>';
+        html += '<button type="button" class="btn btn-secondary" id="audit-export-json">JSON</button>';
+        html += '</div>';
+    }
+
+    document.getElementById('history-body').innerHTML = html;
+    document.getElementById('history-back').addEventListener('click', () => renderHistoryDetail(date));
+    if (log.length) {
+        document.getElementById('audit-export-csv').addEventListener('click', () => {
+            downloadText(TameioAudit.toCsv(log), 'text/csv', `tameio-audit-${date}.csv`);
+        });
+        document.getElementById('audit-export-json').addEventListener('click', () => {
+            downloadText(TameioAudit.toJson(log, closing), 'application/json', `tameio-audit-${date}.json`);
+        });
+    }
+    document.querySelector('#history-overlay .modal-content').scrollTop = 0;
+}
+
+// Side-by-side totals of the ticked closings (oldest first)
+async function renderHistoryCompare() {
+    if (historySelected.size < 2) {
+        showInputError('Επιλέξτε τουλάχιστον δύο ημέρες για σύγκριση');
+        return;
+    }
+
+    const closings = (await Promise.all([...historySelected].map(archiveGetClosing)))
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const showDiff = closings.length === 2;
+
+    let html = '<button type="button" class="history-back" id="history-back">‹ Πίσω</button>';
+    html += '<div class="history-compare-wrap"><table class="history-compare">';
+    html += '<thead><tr><th></th>';
+    for (const closing of closings) {
+        html += `<th>${isoToDMY(closing.date).slice(0, 5)}</th>`;
+    }
+    if (showDiff) html += '<th>Διαφορά</th>';
+    html += '</tr></thead><tbody>';
+
+    for (const [label, getValue] of [...HISTORY_COMPARE_ROWS, ...getHistoryChannelRows(closings)]) {
+        const values = closings.map(getValue);
+        html += `<tr><th>${label}</th>`;
+        for (const value of values) {
+            html += `<td>${value.toFixed(2)}</td>`;
+        }
+        if (showDiff) {
+            const diff = values[1] - values[0];
+            const cls = diff > 0.001 ? 'diff-up' : diff < -0.001 ? 'diff-down' : '';
+            html += `<td class="${cls}">${diff > 0 ? '+' : ''}${diff.toFixed(2)}</td>`;
+        }
+        html += '</tr>';
+    }
+
+    html += '</tbody></table></div>';
+
+    document.getElementById('history-body').innerHTML = html;
+    setHistoryListActions(false);
+    document.getElementById('history-back').addEventListener('click', renderHistoryList);
+}
+
+// Compare, export and import only apply to the list view
+function setHistoryListActions(visible) {
+    for (const id of ['history-compare', 'history-export-csv', 'history-export-json', 'history-import-btn']) {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+    }
+}
+
+function showHistoryError(message) {
+    const errorEl = document.getElementById('history-error');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+// Download the ticked closings, or the whole history when none are ticked
+async function exportHistory(format) {
+    showHistoryError('');
+    let closings;
+    try {
+        closings = await archiveGetAllClosings();
+    } catch (e) {
+        showHistoryError('Το ιστορικό δεν είναι διαθέσιμο σε αυτή τη συσκευή.');
+        return;
+    }
+    if (historySelected.size) {
+        closings = closings.filter(closing => historySelected.has(closing.date));
+    }
+    if (!closings.length) {
+        showHistoryError('Δεν υπάρχουν κλεισίματα για εξαγωγή.');
+        return;
+    }
+
+    const text = format === 'csv' ? TameioTransfer.toCsv(closings) : TameioTransfer.toJson(closings);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const dates = closings.map(closing => closing.date).sort();
+    const range = dates.length > 1 ? `${dates[0]}_${dates[dates.length - 1]}` : dates[0];
+
+    downloadText(text, type, `tameio-${range}.${format}`);
+}
+
+// Save text as a file through the browser's downloads
+function downloadText(text, type, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Merge closings from an exported CSV or JSON file into the history
+async function importHistory(e) {
+    const input = e.target;
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    showHistoryError('');
+
+    try {
+        const { closings, errors } = TameioTransfer.parseImport(await file.text(), settings.channels, settings.expenseCategories);
+        if (errors.length) {
+            const more = errors.length > 3 ? ` (+${errors.length - 3} ακόμη)` : '';
+            showHistoryError(`Η εισαγωγή ακυρώθηκε. ${errors.slice(0, 3).join('. ')}${more}`);
+            return;
+        }
+
+        const plan = TameioTransfer.mergeClosings(await archiveGetAllClosings(), closings);
+        if (!plan.save.length) {
+            showHistoryError('Όλες οι ημέρες του αρχείου υπάρχουν ήδη στο ιστορικό.');
+            return;
+        }
+
+        let summary = `Εισαγωγή από ${file.name}:\n${plan.added.length} νέες ημέρες\n${plan.replaced.length} αντικαθιστούν παλαιότερη αποθήκευση`;
+        if (plan.kept.length) summary += `\n${plan.kept.length} παραλείπονται (υπάρχει ίδια ή νεότερη)`;
+        if (plan.duplicates) summary += `\n${plan.duplicates} διπλές ημερομηνίες στο αρχείο (κρατήθηκε η νεότερη)`;
+        // Imported days change the history, so a cashier needs a manager
+        const approval = await confirmManagerAction(summary);
+        if (!approval) return;
+
+        for (const closing of plan.save) {
+            await archiveClosingAudited(closing, 'import', approval.approver);
+        }
+        await renderHistoryList();
+    } catch (err) {
+        showHistoryError('Η εισαγωγή απέτυχε');
+    }
+}
+
+// --- Reports ---
+// Weekly and monthly figures over the archived closings: totals compared with
+// another period, the daily takings of the period and the trend of the periods
+// before it. Charts are drawn locally on canvas.
+
+// Comparison periods per period type: [key, label, offset in periods]
+const REPORT_COMPARISONS = {
+    week: [['previous', 'Προηγ. εβδομάδα', -1]],
+    month: [['last-year', 'Ίδιος μήνας πέρσι', -12], ['previous', 'Προηγ. μήνας', -1]]
+};
+
+// Summary rows: [label, key in the period summary]
+const REPORT_ROWS = [
+    ['ΤΑΜΕΙΟ', 'tameio'],
+    ['ΜΕΤΡΗΤΑ', 'cash'],
+    ['ΕΣΟΔΑ LIM', 'incomeLim'],
+    ['ΕΞΟΔΑ', 'exoda'],
+    ['Μετρητά (LIM)', 'cashLim'],
+    ['Κάρτες', 'card'],
+    ['Delivery', 'delivery']
+];
+
+// Stacked chart series: cash vs. card vs. delivery
+const REPORT_SERIES = [
+    { key: 'cashLim', label: 'Μετρητά', color: '#6b8f4e', darkColor: '#81c784' },
+    { key: 'card', label: 'Κάρτες', color: '#4a7fb5', darkColor: '#64b5f6' },
+    { key: 'delivery', label: 'Delivery', color: '#e0a050', darkColor: '#ff9f0a' }
+];
+
+// Periods in the trend chart, ending with the selected one
+const REPORT_TREND_LENGTH = { week: 8, month: 12 };
+
+const reportsView = { period: 'week', start: null, comparison: 'previous', closings: [] };
+
+async function showReports() {
+    const body = document.getElementById('reports-body');
+    document.getElementById('reports-overlay').style.display = 'flex';
+
+    try {
+        reportsView.closings = await archiveGetAllClosings();
+    } catch (e) {
+        body.innerHTML = '<p class="fakelos-message">Το ιστορικό δεν είναι διαθέσιμο σε αυτή τη συσκευή.</p>';
+        return;
+    }
+
+    reportsView.start = TameioEngine.periodStart(getFormDate(), reportsView.period);
+    renderReports();
+}
+
+function closeReports() {
+    document.getElementById('reports-overlay').style.display = 'none';
+}
+
+// "02/03 – 08/03/2026" for a week, "Μαρ 2026" for a month
+function formatReportPeriod(start, period) {
+    if (period === 'month') {
+        return `${MONTH_NAMES_GR[parseInt(start.slice(5, 7)) - 1]} ${start.slice(0, 4)}`;
+    }
+    const days = TameioEngine.periodDays(start, period);
+    return `${isoToDMY(start).slice(0, 5)} – ${isoToDMY(days[days.length - 1])}`;
+}
+
+// Channel labels as last entered, for the channels used in the given closings
+function getReportChannelLabels(closings) {
+    const labels = new Map();
+    for (const closing of [...closings].sort((a, b) => a.date.localeCompare(b.date))) {
+        for (const { id, label } of TameioEngine.getChannelDefs(closing)) labels.set(id, label);
+    }
+    return labels;
+}
+
+// Expense category labels as last entered, for the categories in the given period summaries
+function getReportCategoryLabels(closings, summaries) {
+    const labels = new Map();
+    for (const closing of [...closings].sort((a, b) => a.date.localeCompare(b.date))) {
+        for (const { id, label } of closing.expenseCategories || []) labels.set(id, label);
+    }
+    const ids = new Set(summaries.flatMap(summary => Object.keys(summary.categories)));
+    return [...ids].map(id => [id, id ? labels.get(id) || id : 'Χωρίς κατηγορία']);
+}
+
+function renderReports() {
+    const { period, start, closings } = reportsView;
+    const comparisons = REPORT_COMPARISONS[period];
+    const [, compareLabel, offset] = comparisons.find(([key]) => key === reportsView.comparison) || comparisons[0];
+    const current = TameioEngine.summarizePeriod(closings, start, period);
+    const previous = TameioEngine.summarizePeriod(closings, TameioEngine.shiftPeriod(start, period, offset), period);
+
+    let html = '<div class="mode-toggle reports-toggle">';
+    for (const [value, label] of [['week', 'Εβδομάδα'], ['month', 'Μήνας']]) {
+        html += `<button type="button" class="mode-btn${period === value ? ' active' : ''}" data-period="${value}">${label}</button>`;
+    }
+    html += '</div>';
+
+    html += '<div class="reports-nav">';
+    html += '<button type="button" class="cal-nav" data-step="-1" aria-label="Προηγούμενη περίοδος">‹</button>';
+    html += `<span class="reports-period">${formatReportPeriod(start, period)}</span>`;
+    html += '<button type="button" class="cal-nav" data-step="1" aria-label="Επόμενη περίοδος">›</button>';
+    html += '</div>';
+
+    if (comparisons.length > 1) {
+        html += '<select class="settings-input reports-compare-select" id="reports-compare">';
+        for (const [key, label] of comparisons) {
+            html += `<option value="${key}"${key === reportsView.comparison ? ' selected' : ''}>Σύγκριση: ${label}</option>`;
+        }
+        html += '</select>';
+    }
+
+    // Totals of the period against the comparison period
+    const compared = closings.filter(closing =>
+        current.days.some(day => day.date === closing.date) || previous.days.some(day => day.date === closing.date));
+    const rows = [
+        ...REPORT_ROWS.map(([label, key]) => [label, summary => summary[key]]),
+        ...[...getReportChannelLabels(compared)].map(([id, label]) => [label, summary => summary.channels[id] || 0]),
+        ...getReportCategoryLabels(compared, [current, previous]).map(([id, label]) => [`Έξοδα · ${label}`, summary => summary.categories[id] || 0])
+    ];
+
+    html += '<div class="history-compare-wrap"><table class="history-compare">';
+    html += `<thead><tr><th></th><th>${escapeHtml(formatReportPeriod(start, period))}</th><th>${compareLabel}</th><th>Διαφορά</th></tr></thead><tbody>`;
+    html += `<tr><th>Ημέρες</th><td>${current.days.length}</td><td>${previous.days.length}</td><td></td></tr>`;
+    for (const [label, getValue] of rows) {
+        const now = getValue(current);
+        const before = getValue(previous);
+        const diff = TameioEngine.roundMoney(now - before);
+        const cls = diff > 0.001 ? 'diff-up' : diff < -0.001 ? 'diff-down' : '';
+        const percent = before > 0 && diff !== 0 ? ` <small>${diff > 0 ? '+' : ''}${Math.round(diff / before * 100)}%</small>` : '';
+        html += `<tr><th>${escapeHtml(label)}</th><td>${now.toFixed(2)}</td><td>${before.toFixed(2)}</td>`;
+        html += `<td class="${cls}">${diff > 0 ? '+' : ''}${diff.toFixed(2)}${percent}</td></tr>`;
+    }
+    html += '</tbody></table></div>';
+
+    html += '<div class="reports-legend">';
+    for (const series of REPORT_SERIES) {
+        html += `<span><i style="background:${series.color}"></i>${series.label}</span>`;
+    }
+    html += '</div>';
+    html += '<div class="stelno-section-title">Ανά ημέρα</div>';
+    html += '<canvas class="reports-chart" id="reports-daily"></canvas>';
+    html += `<div class="stelno-section-title">${period === 'week' ? 'Τελευταίες εβδομάδες' : 'Τελευταίοι μήνες'}</div>`;
+    html += '<canvas class="reports-chart" id="reports-trend"></canvas>';
+
+    const body = document.getElementById('reports-body');
+    body.innerHTML = html;
+
+    body.querySelectorAll('[data-period]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            reportsView.period = btn.dataset.period;
+            reportsView.start = TameioEngine.periodStart(reportsView.start, reportsView.period);
+            reportsView.comparison = REPORT_COMPARISONS[reportsView.period][0][0];
+            renderReports();
+        });
+    });
+    body.querySelectorAll('[data-step]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            reportsView.start = TameioEngine.shiftPeriod(reportsView.start, reportsView.period, parseInt(btn.dataset.step));
+            renderReports();
+        });
+    });
+    const compareSelect = body.querySelector('#reports-compare');
+    if (compareSelect) {
+        compareSelect.addEventListener('change', () => {
+            reportsView.comparison = compareSelect.value;
+            renderReports();
+        });
+    }
+
+    drawReportChart(document.getElementById('reports-daily'), getDailyBars(current));
+    drawReportChart(document.getElementById('reports-trend'), getTrendBars());
+}
+
+// One bar per day of the selected period; days without a closing stay empty
+function getDailyBars(summary) {
+    const byDate = new Map(summary.days.map(day => [day.date, day]));
+    return TameioEngine.periodDays(summary.start, summary.period).map((date, index) => {
+        const dayOfMonth = parseInt(date.slice(8));
+        const label = summary.period === 'week'
+            ? DAY_NAMES_GR[index]
+            : (dayOfMonth === 1 || dayOfMonth % 5 === 0 ? String(dayOfMonth) : '');
+        return { label, figures: byDate.get(date) || null };
+    });
+}
+
+// One bar per period up to the selected one
+function getTrendBars() {
+    const { period, start, closings } = reportsView;
+    const bars = [];
+    for (let i = REPORT_TREND_LENGTH[period] - 1; i >= 0; i--) {
+        const periodStart = TameioEngine.shiftPeriod(start, period, -i);
+        const summary = TameioEngine.summarizePeriod(closings, periodStart, period);
+        const label = period === 'week'
+            ? isoToDMY(periodStart).slice(0, 5)
+            : MONTH_NAMES_GR[parseInt(periodStart.slice(5, 7)) - 1];
+        bars.push({ label, figures: summary.days.length ? summary : null });
+    }
+    return bars;
+}
+
+// Stacked bars of the chart series, with the tallest bar's amount in the corner
+function drawReportChart(canvas, bars) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+
+    const dark = document.body.classList.contains('dark-mode');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 320;
+    const height = 150;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.scale(ratio, ratio);
+
+    const top = 16;
+    const bottom = 16;
+    const stackOf = figures => REPORT_SERIES.reduce((sum, series) => sum + Math.max(0, figures[series.key]), 0);
+    const max = Math.max(0, ...bars.filter(bar => bar.figures).map(bar => stackOf(bar.figures)));
+    const slot = width / bars.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    const muted = dark ? '#a1a1a6' : '#7a7c73';
+
+    ctx.font = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+    ctx.textBaseline = 'top';
+
+    // Baseline
+    ctx.fillStyle = dark ? '#3a3a3c' : '#e0e0e0';
+    ctx.fillRect(0, height - bottom, width, 1);
+
+    bars.forEach((bar, index) => {
+        const x = slot * index + (slot - barWidth) / 2;
+        let y = height - bottom;
+        if (bar.figures && max > 0) {
+            for (const series of REPORT_SERIES) {
+                const barHeight = Math.max(0, bar.figures[series.key]) / max * (height - top - bottom);
+                ctx.fillStyle = dark ? series.darkColor : series.color;
+                ctx.fillRect(x, y - barHeight, barWidth, barHeight);
+                y -= barHeight;
+            }
+        }
+        if (bar.label) {
+            ctx.fillStyle = muted;
+            ctx.textAlign = 'center';
+            ctx.fillText(bar.label, x + barWidth / 2, height - bottom + 4);
+        }
+    });
+
+    if (max > 0) {
+        ctx.fillStyle = muted;
+        ctx.textAlign = 'left';
+        ctx.fillText(formatCurrency(max), 0, 0);
+    }
+}
+
 // --- Custom Calendar ---
 
 const MONTH_NAMES_GR = ['Ιαν', 'Φεβ', 'Μαρ', 'Απρ', 'Μάι', 'Ιούν', 'Ιούλ', 'Αύγ', 'Σεπ', 'Οκτ', 'Νοέ', 'Δεκ'];
@@ -926,6 +4241,55 @@ function formatDateDMY(date) {
     return `${dd}/${mm}/${date.getFullYear()}`;
 }
 
+// Parse DD/MM/YYYY into a local Date (null if malformed)
+function parseDateDMY(text) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text || '');
+    if (!match) return null;
+    return new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+}
+
+// ISO date (YYYY-MM-DD) in local time, used as the archive key
+function toIsoDate(date) {
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+// ISO date of the closing in the form (today if the field is empty or invalid)
+function getFormDate() {
+    return toIsoDate(parseDateDMY(cachedInputs['user-date'].value) || new Date());
+}
+
+// Put a date in the form and point the calendar at it
+function setFormDate(date) {
+    cachedInputs['user-date'].value = formatDateDMY(date);
+    calendarSelectedDate = new Date(date);
+    calendarViewDate = new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+// Move the form to another date: what's typed stays in the current date's
+// draft and the other date's draft (if any) is loaded in its place
+function switchFormDate(date) {
+    saveAllValues();
+    setFormDate(date);
+    const draft = loadDrafts()[getFormDate()];
+    applyDraft(draft);
+    resetEditHistory(draft);
+    localStorage.setItem('draftDate', getFormDate());
+
+    // Shifts and the expected opening drawer depend on the date
+    updateShiftLabel();
+    updateTotals();
+    updateDraftsButton();
+    loadPreviousRemainder();
+}
+
+// Archive ISO date back to DD/MM/YYYY for display
+function isoToDMY(iso) {
+    const [yyyy, mm, dd] = iso.split('-');
+    return `${dd}/${mm}/${yyyy}`;
+}
+
 function initCalendar(today) {
     calendarViewDate = new Date(today.getFullYear(), today.getMonth(), 1);
     calendarSelectedDate = new Date(today);
@@ -1046,13 +4410,46 @@ function renderCalendar() {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const d = parseInt(btn.dataset.day);
-            calendarSelectedDate = new Date(year, month, d);
-            cachedInputs['user-date'].value = formatDateDMY(calendarSelectedDate);
             dropdown.style.display = 'none';
-            saveAllValues();
+            openFormDate(new Date(year, month, d));
+        });
+    });
+}
+
+// Offline support: register the service worker and offer a reload when a new version is waiting
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    // The first install also takes control of the page; only an update should reload it
+    const hadController = !!navigator.serviceWorker.controller;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && hadController) showUpdateBanner(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+            });
         });
+    }).catch(() => {
+        // Offline support is optional; the page works without it
     });
 }
 
+function showUpdateBanner(worker) {
+    document.getElementById('update-banner').style.display = 'flex';
+    document.getElementById('update-reload').onclick = () => {
+        saveAllValues();
+        worker.postMessage('skip-waiting');
+    };
+}
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', init);
+document.addEventListener('DOMContentLoaded', registerServiceWorker);
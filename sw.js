@@ -0,0 +1,51 @@
+// Service worker: keeps the whole app available offline.
+// Bump CACHE_VERSION with every deploy; the page then offers to reload into it.
+
+const CACHE_VERSION = 'tameio-v21';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'engine.js',
+    'transfer.js',
+    'audit.js',
+    'backup.js',
+    'archive.js',
+    'report.js',
+    'pdf.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES)));
+});
+
+// Drop the caches of previous versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data === 'skip-waiting') self.skipWaiting();
+});
+
+// Cache first for the app's own files; anything else goes to the network
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+            .then(cached => cached || fetch(request))
+            .catch(() => caches.match('index.html'))
+    );
+});
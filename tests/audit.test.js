@@ -0,0 +1,90 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const transfer = require('../transfer.js');
+const audit = require('../audit.js');
+const { makeArchived } = require('./fixtures.js');
+
+// A day saved, then corrected twice: the log and the closing as archived last
+function makeLog() {
+    const first = makeArchived({ counts: { 'bill-50': 4, 'coin-2': 10 } });
+    const log = audit.buildEntries([], null, first, { user: 'Μαρία', at: 1000, action: 'save' });
+    const second = makeArchived({ counts: { 'bill-50': 5, 'coin-2': 10 }, savedAt: first.savedAt + 60000 });
+    log.push(...audit.buildEntries(log, first, second, { user: 'Νίκος', at: 2000, action: 'save' }));
+    const third = makeArchived({ ...second, exoda: [{ amount: 15, desc: 'Ψωμί', category: '', invoiceNo: '' }] });
+    log.push(...audit.buildEntries(log, second, third, { user: 'Νίκος', at: 3000, action: 'import' }));
+    return { log, closing: { ...third, auditHead: log[log.length - 1].hash } };
+}
+
+test('sha256 matches the standard test vectors', () => {
+    assert.equal(audit.sha256(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    assert.equal(audit.sha256('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.equal(
+        audit.sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+        '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+    );
+    // Multi-byte UTF-8 and a message spanning two blocks
+    const greek = 'Ταμείο'.repeat(10);
+    assert.equal(audit.sha256(greek), crypto.createHash('sha256').update(greek).digest('hex'));
+});
+
+test('the first save is one entry, later saves one per changed field', () => {
+    const { log } = makeLog();
+
+    assert.equal(log[0].action, 'create');
+    assert.equal(log[0].prevHash, audit.GENESIS_HASH);
+    assert.deepEqual(log.map(entry => entry.seq), log.map((_, index) => index));
+
+    const correction = log.filter(entry => entry.at === 2000);
+    assert.ok(correction.some(entry => entry.field === 'bill-50' && entry.from === '4' && entry.to === '5'));
+    // Totals follow the counts; the save time alone is not a change
+    assert.ok(correction.some(entry => entry.field === 'total-tameio'));
+    assert.ok(!log.some(entry => entry.field === 'saved-at'));
+    assert.ok(correction.every(entry => entry.user === 'Νίκος' && entry.action === 'save'));
+
+    const unchanged = makeArchived({ savedAt: Date.now() });
+    assert.deepEqual(audit.buildEntries(log, makeArchived(), unchanged, { user: '', at: 4000, action: 'save' }), []);
+});
+
+test('verifyLog accepts an untouched log and its closing', () => {
+    const { log, closing } = makeLog();
+    assert.deepEqual(audit.verifyLog(log, closing), { status: 'ok', brokenAt: null });
+    assert.equal(audit.verifyLog([], closing).status, 'empty');
+});
+
+test('verifyLog finds edited, removed and cut-off entries', () => {
+    const { log, closing } = makeLog();
+
+    const edited = log.map(entry => ({ ...entry }));
+    edited[2].to = '50';
+    assert.deepEqual(audit.verifyLog(edited, closing), { status: 'broken', brokenAt: 2 });
+
+    const removed = log.filter((_, index) => index !== 1);
+    assert.deepEqual(audit.verifyLog(removed, closing), { status: 'broken', brokenAt: 1 });
+
+    const cutOff = log.slice(0, -1);
+    assert.deepEqual(audit.verifyLog(cutOff, closing), { status: 'broken', brokenAt: cutOff.length });
+});
+
+test('verifyLog notices a closing changed outside the log', () => {
+    const { log, closing } = makeLog();
+    const altered = { ...closing, counts: { ...closing.counts, 'bill-50': 6 } };
+    assert.equal(audit.verifyLog(log, altered).status, 'mismatch');
+});
+
+test('the audit log exports as CSV and JSON', () => {
+    const { log, closing } = makeLog();
+
+    const rows = transfer.parseCsv(audit.toCsv(log));
+    assert.deepEqual(rows[0].slice(0, 7), ['seq', 'at', 'user', 'action', 'field', 'from', 'to']);
+    assert.equal(rows.length, log.length + 1);
+    assert.equal(rows[1][1], new Date(1000).toISOString());
+
+    const exported = JSON.parse(audit.toJson(log, closing));
+    assert.equal(exported.format, audit.EXPORT_FORMAT);
+    assert.equal(exported.date, '2026-03-02');
+    assert.equal(exported.verification, 'ok');
+    assert.deepEqual(exported.entries, log);
+});
@@ -0,0 +1,119 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const backup = require('../backup.js');
+
+const ARCHIVE_VERSION = 4;
+
+// A device's data as the app reads it for a backup
+function makeData() {
+    return {
+        local: {
+            settings: JSON.stringify({ storeName: 'Καφενείο', backupReminderDays: 7 }),
+            drafts: JSON.stringify({ '2026-03-03': { values: { 'bill-50': '4' }, exodaCount: 1, batchCount: 0, savedAt: 1 } }),
+            darkMode: 'true'
+        },
+        archive: {
+            closings: [{ date: '2026-03-02', name: 'Μαρία', counts: { 'bill-50': 4 }, auditHead: 'abc' }],
+            safeLedger: [{ id: 1, date: '2026-03-02', type: 'deposit', amount: 200, createdAt: 5 }],
+            receipts: [{ id: 3, createdAt: 7, blob: new Blob([new Uint8Array([0xff, 0xd8, 0x00, 0x01])], { type: 'image/jpeg' }) }],
+            auditLog: [{ date: '2026-03-02', seq: 0, action: 'create', hash: 'abc' }]
+        },
+        archiveVersion: ARCHIVE_VERSION,
+        createdAt: Date.parse('2026-03-03T10:00:00Z')
+    };
+}
+
+test('a backup opens with its passphrase and restores everything', async () => {
+    const contents = await backup.buildContents(makeData());
+    const text = await backup.createBackup(contents, 'σωστή φράση');
+
+    const file = JSON.parse(text);
+    assert.equal(file.format, backup.BACKUP_FORMAT);
+    assert.equal(file.createdAt, '2026-03-03T10:00:00.000Z');
+    // Nothing of the contents is readable in the file
+    assert.ok(!text.includes('Μαρία') && !text.includes('Καφενείο'));
+
+    const opened = await backup.openBackup(text, 'σωστή φράση', ARCHIVE_VERSION);
+    assert.deepEqual(opened.errors, []);
+    assert.deepEqual(opened.contents, contents);
+
+    const records = backup.archiveRecords(opened.contents);
+    assert.deepEqual(records.closings, makeData().archive.closings);
+    assert.equal(records.receipts[0].id, 3);
+    assert.equal(records.receipts[0].blob.type, 'image/jpeg');
+    assert.deepEqual([...new Uint8Array(await records.receipts[0].blob.arrayBuffer())], [0xff, 0xd8, 0x00, 0x01]);
+});
+
+test('a wrong passphrase or a changed byte is refused', async () => {
+    const text = await backup.createBackup(await backup.buildContents(makeData()), 'σωστή φράση');
+
+    const wrong = await backup.openBackup(text, 'άλλη φράση', ARCHIVE_VERSION);
+    assert.equal(wrong.contents, null);
+    assert.equal(wrong.errors.length, 1);
+
+    const file = JSON.parse(text);
+    const data = Buffer.from(file.data, 'base64');
+    data[10] ^= 1;
+    const tampered = JSON.stringify({ ...file, data: data.toString('base64') });
+    assert.equal((await backup.openBackup(tampered, 'σωστή φράση', ARCHIVE_VERSION)).contents, null);
+
+    // The readable header is covered too
+    const redated = JSON.stringify({ ...file, createdAt: '2026-01-01T00:00:00.000Z' });
+    assert.equal((await backup.openBackup(redated, 'σωστή φράση', ARCHIVE_VERSION)).contents, null);
+
+    assert.equal((await backup.openBackup('not json', 'x', ARCHIVE_VERSION)).errors.length, 1);
+    assert.equal((await backup.openBackup('{"closings": []}', 'x', ARCHIVE_VERSION)).errors.length, 1);
+});
+
+test('key derivation settings from the file are checked before deriving', async () => {
+    const text = await backup.createBackup(await backup.buildContents(makeData()), 'φράση');
+    const file = JSON.parse(text);
+    const withKdf = kdf => JSON.stringify({ ...file, kdf: { ...file.kdf, ...kdf } });
+
+    const started = Date.now();
+    for (const kdf of [{ iterations: 1e10 }, { iterations: 1 }, { iterations: '310000' }, { hash: 'SHA-1' }, { name: 'scrypt' }]) {
+        const opened = await backup.openBackup(withKdf(kdf), 'φράση', ARCHIVE_VERSION);
+        assert.equal(opened.contents, null);
+        assert.match(opened.errors[0], /κρυπτογράφηση/);
+    }
+    // Refused without running the derivation
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('backups from newer versions are refused', async () => {
+    const contents = await backup.buildContents({ ...makeData(), archiveVersion: ARCHIVE_VERSION + 1 });
+    const text = await backup.createBackup(contents, 'φράση');
+    assert.equal((await backup.openBackup(text, 'φράση', ARCHIVE_VERSION)).contents, null);
+
+    const newer = JSON.stringify({ ...JSON.parse(text), version: backup.BACKUP_VERSION + 1 });
+    assert.match((await backup.openBackup(newer, 'φράση', ARCHIVE_VERSION)).errors[0], /νεότερη/);
+});
+
+test('contents from an older archive get the stores it did not have', () => {
+    const old = {
+        createdAt: 1,
+        archiveVersion: 2,
+        local: { allValues: '{}' },
+        archive: { closings: [{ date: '2026-01-05' }], safeLedger: [] }
+    };
+    const migrated = backup.migrateContents(old);
+    assert.equal(migrated.archiveVersion, ARCHIVE_VERSION);
+    assert.deepEqual(migrated.archive.receipts, []);
+    assert.deepEqual(migrated.archive.auditLog, []);
+    assert.deepEqual(migrated.local, old.local);
+    assert.deepEqual(backup.validateContents(migrated), []);
+
+    // A store the archive should have had is an error, not an empty store
+    const missing = backup.migrateContents({ ...old, archiveVersion: 4, archive: { closings: [] } });
+    assert.equal(backup.validateContents(missing).length, 3);
+});
+
+test('the reminder is due once the days have passed', () => {
+    const day = 24 * 60 * 60 * 1000;
+    assert.equal(backup.isBackupDue(null, 0, 10 * day), false);
+    assert.equal(backup.isBackupDue(null, 7, 10 * day), true);
+    assert.equal(backup.isBackupDue(4 * day, 7, 10 * day), false);
+    assert.equal(backup.isBackupDue(3 * day, 7, 10 * day), true);
+});
@@ -0,0 +1,404 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const engine = require('../engine.js');
+
+// Closing with nothing entered except what the test overrides
+function makeClosing(overrides = {}) {
+    return {
+        counts: {},
+        exoda: [],
+        channels: { wolt: 0, efood: 0, mypos: 0, eurobank: 0 },
+        kermata: 0,
+        float: { amount: 1000 },
+        ...overrides
+    };
+}
+
+test('roundMoney removes floating point artifacts', () => {
+    assert.equal(engine.roundMoney(0.1 + 0.2), 0.3);
+    assert.equal(engine.roundMoney(1.005), 1.01);
+    assert.equal(engine.roundMoney(-2.675), -2.67);
+});
+
+test('countsFromValues reads amounts and counts', () => {
+    const values = { 'bill-50': '150', 'coin-0-05': '0.35', 'coin-0-2': '' };
+    const fromAmounts = engine.countsFromValues(values, false);
+    assert.equal(fromAmounts['bill-50'], 3);
+    assert.equal(fromAmounts['coin-0-05'], 7);
+    assert.equal(fromAmounts['coin-0-2'], 0);
+
+    const fromCounts = engine.countsFromValues({ 'bill-50': '3', 'coin-0-1': '12' }, true);
+    assert.equal(fromCounts['bill-50'], 3);
+    assert.equal(fromCounts['coin-0-1'], 12);
+});
+
+test('convertModeValue round-trips between amount and count mode', () => {
+    assert.equal(engine.convertModeValue(0.3, 'coin-0-1', true), 3);
+    assert.equal(engine.convertModeValue(3, 'coin-0-1', false), 0.3);
+    assert.equal(engine.convertModeValue(7, 'coin-0-05', false), 0.35);
+    assert.equal(engine.convertModeValue(250, 'bill-50', true), 5);
+});
+
+test('convertModeValues reads a draft typed in the other mode', () => {
+    // Date A typed in count mode, reopened after date B switched the form to amounts
+    const draftA = { 'bill-50': '3', 'coin-0-1': '2*5+2', 'coin-2': 'x', kermata: '4.5', 'user-name': 'Μαρία' };
+    const asAmounts = engine.convertModeValues(draftA, true, false);
+    assert.deepEqual(asAmounts, { 'bill-50': '150', 'coin-0-1': '1.2', 'coin-2': 'x', kermata: '4.5', 'user-name': 'Μαρία' });
+    assert.deepEqual(engine.countsFromValues(asAmounts, false), engine.countsFromValues(draftA, true));
+
+    assert.deepEqual(engine.convertModeValues(asAmounts, false, true)['bill-50'], '3');
+    assert.equal(engine.convertModeValues(draftA, true, true), draftA);
+});
+
+test('computeTotals follows the ΤΑΜΕΙΟ / ΜΕΤΡΗΤΑ / LIM formulas', () => {
+    const totals = engine.computeTotals(makeClosing({
+        counts: { 'bill-100': 12, 'bill-5': 3 },
+        exoda: [{ amount: 5, desc: 'Ψωμί' }, { amount: 2.5, desc: '' }],
+        channels: { wolt: 20, efood: 10, mypos: 100, eurobank: 50 },
+        kermata: 30
+    }));
+
+    // 1215 cash + 30 κέρματα + 180 channels + 7.50 έξοδα
+    assert.equal(totals.tameio, 1432.5);
+    assert.equal(totals.exoda, 7.5);
+    // ΤΑΜΕΙΟ - (1000 + 7.50 + 180)
+    assert.equal(totals.cash, 245);
+    assert.equal(totals.cashLim, 252.5);
+    assert.equal(totals.incomeLim, 402.5);
+});
+
+test('computeTotals rounds coin sums to whole cents', () => {
+    const totals = engine.computeTotals(makeClosing({
+        counts: { 'coin-0-1': 3, 'coin-0-2': 1 },
+        float: { amount: 0 }
+    }));
+    assert.equal(totals.tameio, 0.5);
+    assert.equal(totals.cash, 0.5);
+});
+
+test('computeTotals uses the old fixed float when none is given', () => {
+    const closing = makeClosing({ counts: { 'bill-100': 11 } });
+    delete closing.float;
+    assert.equal(engine.computeTotals(closing).cash, 100);
+});
+
+test('computeTotals reports negative ΜΕΤΡΗΤΑ when the drawer is below the float', () => {
+    const totals = engine.computeTotals(makeClosing({ counts: { 'bill-100': 9 } }));
+    assert.equal(totals.cash, -100);
+    assert.equal(totals.cashLim, -100);
+});
+
+test('solveEnvelope finds an exact combination the greedy pass misses', () => {
+    const envelope = engine.solveEnvelope({ 'bill-50': 1, 'bill-20': 3 }, 60);
+    assert.deepEqual(envelope.used, { 'bill-20': 3 });
+    assert.equal(envelope.total, 60);
+    assert.equal(envelope.shortfall, 0);
+});
+
+test('solveEnvelope minimises pieces', () => {
+    const envelope = engine.solveEnvelope({ 'bill-50': 1, 'bill-20': 3, 'bill-10': 6 }, 60);
+    assert.deepEqual(envelope.used, { 'bill-50': 1, 'bill-10': 1 });
+});
+
+test('solveEnvelope reports a shortfall only without an exact solution', () => {
+    const envelope = engine.solveEnvelope({ 'bill-50': 1, 'bill-20': 3 }, 65);
+    assert.equal(envelope.total, 60);
+    assert.equal(envelope.shortfall, 5);
+
+    // Amounts below the smallest coin can never be made exactly
+    const cents = engine.solveEnvelope({ 'bill-100': 2, 'coin-0-05': 10 }, 100.03);
+    assert.equal(cents.total, 100);
+    assert.equal(cents.shortfall, 0.03);
+});
+
+test('solveEnvelope keeps the minimum change unless the amount needs it', () => {
+    const counts = { 'bill-20': 5, 'bill-5': 12, 'coin-1': 25 };
+    const keep = { 'bill-5': 10, 'coin-1': 20 };
+
+    const untouched = engine.solveEnvelope(counts, 110, 'fewest', keep);
+    assert.deepEqual(untouched.dipped, {});
+    assert.equal(untouched.shortfall, 0);
+
+    const dipped = engine.solveEnvelope(counts, 130, 'fewest', keep);
+    assert.equal(dipped.shortfall, 0);
+    assert.deepEqual(dipped.dipped, { 'bill-5': 3 });
+});
+
+test('solveEnvelope returns an empty envelope for zero or negative ΜΕΤΡΗΤΑ', () => {
+    for (const amount of [0, -120]) {
+        const envelope = engine.solveEnvelope({ 'bill-50': 4 }, amount);
+        assert.deepEqual(envelope.used, {});
+        assert.equal(envelope.total, 0);
+        assert.equal(envelope.shortfall, 0);
+    }
+});
+
+test('computeClosing returns totals, envelope and remainder', () => {
+    const result = engine.computeClosing(makeClosing({
+        counts: { 'bill-100': 10, 'bill-50': 1, 'bill-20': 3, 'coin-2': 5 },
+        float: { amount: 1000 }
+    }));
+
+    assert.equal(result.totals.cash, 120);
+    assert.deepEqual(result.envelope.used, { 'bill-100': 1, 'bill-20': 1 });
+    assert.equal(engine.sumCounts(result.remainder), 1000);
+    assert.equal(result.remainder['bill-100'], 9);
+    assert.equal(result.remainder['bill-20'], 2);
+});
+
+test('computeTotals applies each channel according to its definition', () => {
+    const closing = makeClosing({
+        counts: { 'bill-100': 12 },
+        channels: { wolt: 20, box: 15, pos2: 40, tips: 5 },
+        channelDefs: [
+            { id: 'wolt', label: 'WOLT', reducesCash: true, incomeLim: false, delivery: true },
+            { id: 'box', label: 'Box', reducesCash: true, incomeLim: false, delivery: true },
+            { id: 'pos2', label: 'POS 2', reducesCash: true, incomeLim: true, delivery: false },
+            { id: 'tips', label: 'Tips', reducesCash: false, incomeLim: false, delivery: false }
+        ]
+    });
+    const totals = engine.computeTotals(closing);
+
+    assert.equal(totals.tameio, 1280);
+    // 1280 - (1000 + 20 + 15 + 40)
+    assert.equal(totals.cash, 205);
+    assert.equal(totals.incomeLim, 245);
+    assert.equal(totals.delivery, 35);
+});
+
+test('computeTotals treats closings without channel definitions as the original four channels', () => {
+    const totals = engine.computeTotals(makeClosing({
+        counts: { 'bill-100': 12 },
+        channels: { wolt: 20, efood: 10, mypos: 100, eurobank: 50 }
+    }));
+    assert.equal(totals.cash, 200);
+    assert.equal(totals.incomeLim, 350);
+    assert.equal(totals.delivery, 30);
+});
+
+test('sumBatches adds up terminal batches per channel', () => {
+    const totals = engine.sumBatches([
+        { channel: 'mypos', terminal: 'Ταμείο', batchNo: '112', amount: 84.2 },
+        { channel: 'mypos', terminal: 'Μπαρ', batchNo: '37', amount: 100.1 },
+        { channel: 'eurobank', terminal: 'Ταμείο', batchNo: '9', amount: 50 },
+        { channel: '', terminal: 'Χωρίς κανάλι', batchNo: '', amount: 20 },
+        { channel: 'eurobank', terminal: '', batchNo: '10', amount: 0 }
+    ]);
+    assert.deepEqual(totals, { mypos: 184.3, eurobank: 50 });
+    assert.deepEqual(engine.sumBatches(undefined), {});
+});
+
+test('evaluateExpression computes typed sums safely', () => {
+    assert.equal(engine.evaluateExpression('20+20+15,5'), 55.5);
+    assert.equal(engine.evaluateExpression('3*50'), 150);
+    assert.equal(engine.evaluateExpression(' 2 x 20 + 3×10 '), 70);
+    assert.equal(engine.evaluateExpression('(10+5)/2-1'), 6.5);
+    assert.equal(engine.evaluateExpression('-4+10'), 6);
+    assert.equal(engine.evaluateExpression('0.1+0.2'), 0.3);
+    assert.equal(engine.evaluateExpression('12.5'), 12.5);
+    assert.equal(engine.evaluateExpression(7), 7);
+
+    for (const bad of ['', '20+', '1/0', '(2+3', '2..5', 'alert(1)', '2**3', '1e3']) {
+        assert.ok(Number.isNaN(engine.evaluateExpression(bad)), bad);
+    }
+
+    assert.equal(engine.isExpression('15,5'), false);
+    assert.equal(engine.isExpression('-3'), false);
+    assert.equal(engine.isExpression('20+15'), true);
+    assert.equal(engine.parseAmount('20+'), 0);
+    assert.equal(engine.parseAmount('3*50'), 150);
+});
+
+test('coin rolls and note bundles convert into piece counts', () => {
+    assert.equal(engine.piecesFromUnits('coin-2', 3, 7), 82);
+    assert.equal(engine.piecesFromUnits('coin-0-5', 2, 0), 80);
+    assert.equal(engine.piecesFromUnits('bill-20', 1, 12), 112);
+
+    assert.equal(engine.unitCountText('coin-2', 3, 7, true), '3*25+7');
+    assert.equal(engine.unitCountText('coin-2', 3, 7, false), '3*50+14');
+    assert.equal(engine.unitCountText('coin-0-05', 1, 0, false), '1*2.5');
+    assert.equal(engine.unitCountText('bill-50', 0, 4, false), '200');
+    assert.equal(engine.unitCountText('bill-50', 0, 0, true), '');
+
+    // The field text evaluates back to the same pieces
+    const counts = engine.countsFromValues({ 'coin-0-2': engine.unitCountText('coin-0-2', 2, 9, false) }, false);
+    assert.equal(counts['coin-0-2'], 89);
+});
+
+test('sumExodaByCategory groups expense lines by category', () => {
+    const totals = engine.sumExodaByCategory([
+        { amount: 5.1, desc: 'Ψωμί', category: 'supplies' },
+        { amount: 20, desc: 'ΔΕΗ', category: 'bills' },
+        { amount: 2.2, desc: 'Bread', category: 'supplies' },
+        { amount: 3, desc: 'Διάφορα' },
+        { amount: 0, desc: 'Απορρυπαντικό', category: 'cleaning' }
+    ]);
+    assert.deepEqual(totals, { supplies: 7.3, bills: 20, '': 3 });
+    assert.deepEqual(Object.keys(totals), ['supplies', 'bills', '']);
+});
+
+test('reconcileZReport reports over/short per payment type', () => {
+    const closing = makeClosing({
+        counts: { 'bill-100': 13 },
+        exoda: [{ amount: 10, desc: '' }],
+        channels: { wolt: 20, efood: 0, mypos: 150, eurobank: 0 },
+        zReport: { gross: 480, cash: 310, card: 160, vat: { 24: 300, 13: 170, 6: null } }
+    });
+    const result = engine.reconcileZReport(closing);
+
+    // ΤΑΜΕΙΟ 1480 - float 1000
+    assert.deepEqual(result.lines.find(l => l.key === 'gross'), { key: 'gross', computed: 480, reported: 480, diff: 0 });
+    // ΜΕΤΡΗΤΑ LIM = 1480 - (1000 + 10 + 170) + 10 = 310
+    assert.equal(result.lines.find(l => l.key === 'cash').diff, 0);
+    assert.equal(result.lines.find(l => l.key === 'card').diff, -10);
+    assert.equal(result.lines.find(l => l.key === 'vat').diff, -10);
+    assert.equal(result.balanced, false);
+});
+
+test('reconcileZReport only compares filled fields', () => {
+    const closing = makeClosing({
+        counts: { 'bill-100': 11 },
+        zReport: { gross: 100, cash: null, card: null, vat: {} }
+    });
+    const result = engine.reconcileZReport(closing);
+    assert.deepEqual(result.lines.map(l => l.key), ['gross']);
+    assert.equal(result.balanced, true);
+
+    assert.equal(engine.reconcileZReport(makeClosing()), null);
+    assert.equal(engine.computeClosing(makeClosing()).reconciliation, null);
+});
+
+test('rollUpShifts combines shifts into one daily closing', () => {
+    const morning = makeClosing({
+        counts: { 'bill-100': 10, 'bill-50': 2, 'bill-20': 1 },
+        exoda: [{ amount: 10, desc: 'Ψωμί', category: 'supplies' }],
+        expenseCategories: [{ id: 'supplies', label: 'Πρώτες ύλες' }],
+        channels: { wolt: 0, efood: 0, mypos: 40, eurobank: 0 }
+    });
+    Object.assign(morning, engine.computeClosing(morning));
+
+    // The evening cashier opens with what the morning left in the drawer
+    const evening = makeClosing({
+        counts: { 'bill-100': 10, 'bill-50': 1 },
+        channels: { wolt: 25, efood: 0, mypos: 60, eurobank: 0 },
+        kermata: 15,
+        float: { amount: 1000, counts: morning.remainder },
+        zReport: { gross: 320, cash: null, card: 100, vat: {} }
+    });
+    Object.assign(evening, engine.computeClosing(evening));
+
+    const day = engine.rollUpShifts([morning, evening]);
+
+    assert.equal(morning.totals.cash, 120);
+    assert.equal(evening.totals.cash, 65);
+    assert.equal(day.totals.cash, 185);
+    assert.equal(day.totals.exoda, 10);
+    // Float once plus 170 + 150 taken in
+    assert.equal(day.totals.tameio, 1320);
+    assert.deepEqual(day.channels, { wolt: 25, efood: 0, mypos: 100, eurobank: 0 });
+    assert.equal(day.exoda.length, 1);
+    assert.deepEqual(day.expenseCategories, [{ id: 'supplies', label: 'Πρώτες ύλες' }]);
+    assert.equal(day.kermata, 15);
+    assert.equal(day.envelope.total, 170);
+    assert.equal(engine.sumCounts(day.remainder), 1000);
+    assert.equal(day.reconciliation.balanced, true);
+});
+
+test('rollUpShifts counts ΚΕΡΜΑΤΑ once when every shift carries them', () => {
+    const morning = makeClosing({
+        counts: { 'bill-100': 10, 'bill-50': 2, 'bill-20': 1 },
+        channels: { wolt: 0, efood: 0, mypos: 40, eurobank: 0 },
+        kermata: 15
+    });
+    Object.assign(morning, engine.computeClosing(morning));
+
+    // As the form hands over: the drawer's remainder, with ΚΕΡΜΑΤΑ kept and taken over
+    const evening = makeClosing({
+        counts: { ...morning.remainder },
+        kermata: 15,
+        float: { amount: engine.sumCounts(morning.remainder), counts: morning.remainder, kermata: 15 }
+    });
+    Object.assign(evening, engine.computeClosing(evening));
+
+    // A shift with no sales has no cash of its own
+    assert.equal(morning.totals.cash, 135);
+    assert.equal(evening.totals.cash, 0);
+
+    const day = engine.rollUpShifts([morning, evening]);
+    assert.equal(day.totals.tameio, morning.totals.tameio);
+    assert.equal(day.totals.cash, 135);
+    assert.equal(day.totals.cashLim, morning.totals.cashLim);
+    assert.equal(day.kermata, 15);
+});
+
+test('safeBalance adds up the ledger up to a date', () => {
+    const entries = [
+        { date: '2026-03-01', type: 'adjustment', amount: 200 },
+        { date: '2026-03-01', type: 'deposit', amount: 120.5 },
+        { date: '2026-03-02', type: 'withdrawal', amount: 50 },
+        { date: '2026-03-02', type: 'coin-rolls', amount: 30 },
+        { date: '2026-03-03', type: 'adjustment', amount: -0.5 }
+    ];
+    assert.equal(engine.safeBalance(entries, '2026-03-01'), 320.5);
+    assert.equal(engine.safeBalance(entries, '2026-03-02'), 300.5);
+    assert.equal(engine.safeBalance(entries), 300);
+    assert.equal(engine.safeEntryAmount({ type: 'withdrawal', amount: -50 }), -50);
+});
+
+test('periodStart and shiftPeriod find weeks (Monday first) and months', () => {
+    assert.equal(engine.periodStart('2026-03-04', 'week'), '2026-03-02');
+    // Sunday belongs to the week that started the Monday before
+    assert.equal(engine.periodStart('2026-03-08', 'week'), '2026-03-02');
+    assert.equal(engine.periodStart('2026-03-31', 'month'), '2026-03-01');
+
+    assert.equal(engine.shiftPeriod('2026-03-02', 'week', -1), '2026-02-23');
+    assert.equal(engine.shiftPeriod('2026-01-01', 'month', -1), '2025-12-01');
+    assert.equal(engine.shiftPeriod('2026-03-01', 'month', -12), '2025-03-01');
+    assert.equal(engine.periodDays('2026-02-01', 'month').length, 28);
+    assert.deepEqual(engine.periodDays('2026-03-23', 'week').slice(-2), ['2026-03-28', '2026-03-29']);
+});
+
+test('summarizePeriod adds up the closings of one period', () => {
+    const day = (date, overrides) => {
+        const closing = makeClosing({ date, ...overrides });
+        return { ...closing, ...engine.computeClosing(closing) };
+    };
+    const closings = [
+        day('2026-03-01', { counts: { 'bill-100': 15 } }),
+        day('2026-03-02', { counts: { 'bill-100': 12 }, exoda: [{ amount: 10, desc: '' }], channels: { wolt: 20, efood: 0, mypos: 80.5, eurobank: 0 } }),
+        day('2026-03-05', { counts: { 'bill-100': 11 }, channels: { wolt: 0, efood: 15, mypos: 0, eurobank: 30 } })
+    ];
+    const week = engine.summarizePeriod(closings, '2026-03-02', 'week');
+
+    assert.deepEqual(week.days.map(d => d.date), ['2026-03-02', '2026-03-05']);
+    // Drawer minus float each day: (1200 - 1000) + (1100 - 1000)
+    assert.equal(week.cash, 300);
+    assert.equal(week.cashLim, 310);
+    assert.equal(week.exoda, 10);
+    assert.equal(week.card, 110.5);
+    assert.equal(week.delivery, 35);
+    assert.deepEqual(week.channels, { wolt: 20, efood: 15, mypos: 80.5, eurobank: 30 });
+    assert.equal(engine.summarizePeriod(closings, '2026-02-23', 'week').days.length, 1);
+});
+
+test('summarizePeriod counts the opening float once across the days', () => {
+    const day = (date, overrides) => {
+        const closing = makeClosing({ date, ...overrides });
+        return { ...closing, ...engine.computeClosing(closing) };
+    };
+    const closings = [
+        day('2026-03-02', { counts: { 'bill-100': 12 } }),
+        day('2026-03-03', { counts: { 'bill-100': 11 }, exoda: [{ amount: 10, desc: '' }] }),
+        day('2026-03-04', { counts: { 'bill-100': 13 }, float: { amount: 1200 } })
+    ];
+    const week = engine.summarizePeriod(closings, '2026-03-02', 'week');
+
+    // Each day's ΤΑΜΕΙΟ still holds its float
+    assert.deepEqual(week.days.map(d => d.tameio), [1200, 1110, 1300]);
+    // First float + what each day took in: 1000 + 200 + 110 + 100
+    assert.equal(week.tameio, 1410);
+    assert.equal(week.cash, 400);
+    assert.equal(engine.summarizePeriod([], '2026-03-02', 'week').tameio, 0);
+});
@@ -0,0 +1,28 @@
+// Closings shared by the tests of the modules that read the archive
+const engine = require('../engine.js');
+
+const channelDefs = engine.DEFAULT_CHANNELS;
+const categoryDefs = [{ id: 'supplies', label: 'Πρώτες ύλες' }, { id: 'bills', label: 'Λογαριασμοί' }];
+
+// Archived closing as Στέλνω stores it
+function makeArchived(overrides = {}) {
+    const closing = {
+        date: '2026-03-02',
+        userDate: '02/03/2026',
+        name: 'Μαρία',
+        counts: { 'bill-100': 12, 'bill-20': 3, 'coin-0-5': 4 },
+        exoda: [{ amount: 12.5, desc: 'Ψωμί, γάλα "φρέσκο"', category: 'supplies', invoiceNo: 'Α-1043' }],
+        expenseCategories: [categoryDefs[0]],
+        channels: { wolt: 20, efood: 0, mypos: 84.2, eurobank: 0 },
+        channelDefs,
+        batches: [{ channel: 'mypos', terminal: 'Μπαρ', batchNo: '37', amount: 84.2 }],
+        zReport: { gross: 300, cash: 180, card: 84.2, vat: { 24: 200, 13: 100, 6: null } },
+        kermata: 40,
+        float: { amount: 1000, counts: null, register: 'Ταμείο 1' },
+        savedAt: Date.parse('2026-03-02T21:15:00Z'),
+        ...overrides
+    };
+    return { ...closing, ...engine.computeClosing(closing) };
+}
+
+module.exports = { channelDefs, categoryDefs, makeArchived };
@@ -0,0 +1,150 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const engine = require('../engine.js');
+const transfer = require('../transfer.js');
+const { channelDefs, categoryDefs, makeArchived } = require('./fixtures.js');
+
+test('CSV export and import round-trip a closing', () => {
+    const closing = makeArchived();
+    const csv = transfer.toCsv([closing]);
+    const [header] = transfer.parseCsv(csv);
+    assert.deepEqual(header.slice(0, 4), ['date', 'saved-at', 'user-name', 'bill-100']);
+    assert.ok(header.includes('exoda-desc-1') && header.includes('batch-no-1') && header.includes('total-cash'));
+
+    const { closings, errors } = transfer.parseImport(csv, channelDefs, categoryDefs);
+    assert.deepEqual(errors, []);
+    const [imported] = closings;
+    assert.equal(imported.date, '2026-03-02');
+    assert.equal(imported.userDate, '02/03/2026');
+    assert.equal(imported.savedAt, closing.savedAt);
+    assert.deepEqual(imported.counts, { ...Object.fromEntries(engine.DENOMINATION_FIELDS.map(id => [id, 0])), ...closing.counts });
+    assert.deepEqual(imported.exoda, closing.exoda);
+    assert.deepEqual(imported.expenseCategories, closing.expenseCategories);
+    assert.deepEqual(imported.channels, closing.channels);
+    assert.deepEqual(imported.batches, closing.batches);
+    assert.deepEqual(imported.zReport, closing.zReport);
+    assert.deepEqual(imported.float, closing.float);
+    assert.deepEqual(imported.totals, closing.totals);
+});
+
+test('CSV export covers every closing\'s channels, exoda and batches', () => {
+    const plain = makeArchived({ date: '2026-03-01', exoda: [], batches: [], zReport: null });
+    const busy = makeArchived({
+        exoda: [{ amount: 5, desc: 'Νερά', category: '', invoiceNo: '' }, { amount: 2, desc: '', category: 'bills', invoiceNo: '' }],
+        channels: { wolt: 0, box: 15 },
+        channelDefs: [channelDefs[0], { id: 'box', label: 'Box', reducesCash: true, incomeLim: false, delivery: true }]
+    });
+    const rows = transfer.parseCsv(transfer.toCsv([busy, plain]));
+    const header = rows[0];
+
+    assert.equal(rows.length, 3);
+    assert.equal(rows[1][0], '2026-03-01');
+    assert.ok(header.includes('box') && header.includes('mypos'));
+    assert.ok(header.includes('exoda-2') && !header.includes('exoda-3'));
+    // The day without a Z report leaves its Z columns empty
+    assert.equal(rows[1][header.indexOf('z-gross')], '');
+});
+
+test('parseCsv handles quoted commas, quotes and line breaks', () => {
+    const rows = transfer.parseCsv('\uFEFFa,b,c\r\n1,"x, ""y""",3\n"two\nlines",,\n\n');
+    assert.deepEqual(rows, [['a', 'b', 'c'], ['1', 'x, "y"', '3'], ['two\nlines', '', '']]);
+});
+
+test('CSV import rejects rows it cannot read', () => {
+    const csv = [
+        'date,bill-100,kermata,mypos,ch-unknown',
+        '2026-02-30,1,0,0,0',
+        '2026-03-01,1.5,0,0,0',
+        '2026-03-02,1,abc,0,0',
+        '2026-03-03,1,0,0,20',
+        '2026-03-04,1,0,"12,5",0'
+    ].join('\n');
+    const { closings, errors } = transfer.parseImport(csv, channelDefs);
+
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /^Γραμμή 2: /);
+    assert.match(errors[3], /ch-unknown/);
+    assert.equal(closings.length, 1);
+    assert.equal(closings[0].channels.mypos, 12.5);
+});
+
+test('JSON import checks the format, version and each closing', () => {
+    const closing = makeArchived();
+    const json = transfer.toJson([closing]);
+    assert.deepEqual(transfer.parseImport(json, channelDefs), { closings: [closing], errors: [] });
+
+    const newer = JSON.stringify({ ...JSON.parse(json), version: transfer.EXPORT_VERSION + 1 });
+    assert.equal(transfer.parseImport(newer, channelDefs).errors.length, 1);
+    assert.equal(transfer.parseImport('{"closings": []}', channelDefs).errors.length, 1);
+
+    const broken = JSON.parse(json);
+    broken.closings.push({ ...closing, date: '2026-03-03', counts: { 'bill-50': -1 } });
+    const { closings, errors } = transfer.parseImport(JSON.stringify(broken), channelDefs);
+    assert.equal(closings.length, 1);
+    assert.match(errors[0], /2026-03-03/);
+});
+
+test('JSON import refuses malformed shifts, envelopes and remainders', () => {
+    const shift = makeArchived({ name: 'Πρωί' });
+    const day = { ...makeArchived(), ...engine.rollUpShifts([shift]), shifts: [shift] };
+    const importOne = closing => transfer.parseImport(JSON.stringify({ format: transfer.EXPORT_FORMAT, version: transfer.EXPORT_VERSION, closings: [closing] }), channelDefs);
+
+    assert.deepEqual(importOne(day).errors, []);
+    assert.match(importOne({ ...day, shifts: [{}] }).errors[0], /βάρδια 1/);
+    assert.match(importOne({ ...day, shifts: [{ ...shift, float: null }] }).errors[0], /βάρδια 1: λείπει το αρχικό ταμείο/);
+    assert.match(importOne({ ...day, shifts: [{ ...shift, envelope: { used: { 'bill-50': 'δύο' }, total: 100, shortfall: 0 } }] }).errors[0], /βάρδια 1: μη έγκυρος φάκελος/);
+    assert.match(importOne({ ...day, shifts: 'Πρωί' }).errors[0], /μη έγκυρες βάρδιες/);
+    assert.match(importOne({ ...day, envelope: { used: {}, total: '100' } }).errors[0], /μη έγκυρος φάκελος/);
+    assert.match(importOne({ ...day, remainder: { 'bill-20': -3 } }).errors[0], /μη έγκυρο υπόλοιπο/);
+    assert.match(importOne({ ...day, remainder: [] }).errors[0], /μη έγκυρο υπόλοιπο/);
+    assert.match(importOne({ ...day, channelDefs: [{ id: 'wolt' }] }).errors[0], /καναλιών/);
+    assert.match(importOne({ ...day, expenseCategories: 'supplies' }).errors[0], /κατηγορίες/);
+    assert.match(importOne({ ...day, zReport: { gross: '300' } }).errors[0], /αναφορά Ζ/);
+});
+
+test('JSON import recomputes the totals from the fields', () => {
+    const closing = makeArchived();
+    const forged = { ...closing, totals: { ...closing.totals, cash: 1e6 }, reconciliation: null };
+    const [imported] = transfer.parseImport(transfer.toJson([forged]), channelDefs).closings;
+    assert.deepEqual(imported.totals, closing.totals);
+    assert.deepEqual(imported.reconciliation, closing.reconciliation);
+
+    // A day of shifts adds up the shifts' own recomputed totals
+    const shift = makeArchived({ name: 'Πρωί' });
+    const day = { ...closing, ...engine.rollUpShifts([shift]), shifts: [{ ...shift, totals: { tameio: 0 } }] };
+    const [rolledUp] = transfer.parseImport(transfer.toJson([day]), channelDefs).closings;
+    assert.deepEqual(rolledUp.totals, shift.totals);
+    assert.deepEqual(rolledUp.shifts[0].totals, shift.totals);
+});
+
+test('JSON export leaves out receipt photo ids', () => {
+    const exoda = [{ amount: 12.5, desc: 'Ψωμί', category: 'supplies', invoiceNo: '', receiptId: 4 }];
+    const closing = makeArchived({ exoda, shifts: [{ name: 'Μαρία', exoda }] });
+    const [exported] = JSON.parse(transfer.toJson([closing])).closings;
+
+    assert.equal('receiptId' in exported.exoda[0], false);
+    assert.equal('receiptId' in exported.shifts[0].exoda[0], false);
+    assert.equal(closing.exoda[0].receiptId, 4);
+});
+
+test('mergeClosings keeps the most recently saved copy of each date', () => {
+    const existing = [
+        { date: '2026-03-01', savedAt: 100 },
+        { date: '2026-03-02', savedAt: 200 }
+    ];
+    const incoming = [
+        { date: '2026-03-01', savedAt: 150 },
+        { date: '2026-03-02', savedAt: 200 },
+        { date: '2026-03-03', savedAt: 50 },
+        { date: '2026-03-03', savedAt: 80 }
+    ];
+    const plan = transfer.mergeClosings(existing, incoming);
+
+    assert.deepEqual(plan.added, ['2026-03-03']);
+    assert.deepEqual(plan.replaced, ['2026-03-01']);
+    assert.deepEqual(plan.kept, ['2026-03-02']);
+    assert.equal(plan.duplicates, 1);
+    assert.deepEqual(plan.save.map(c => c.savedAt), [150, 80]);
+});
@@ -0,0 +1,506 @@
+// Closing history export and import
+// CSV (one row per day, for spreadsheets) and versioned JSON (lossless, for
+// moving the history between devices). CSV columns use the field IDs of the
+// form draft (saveAllValues): bill-100 ... coin-0-05 and float-* hold piece
+// counts, everything else an amount or text. Totals follow the fields and
+// are recomputed on import; JSON closings are checked field by field, shifts
+// included, before anything is stored.
+
+const TameioTransfer = (() => {
+    const engine = typeof TameioEngine !== 'undefined' ? TameioEngine : require('./engine.js');
+
+    const EXPORT_FORMAT = 'tameio-closings';
+    const EXPORT_VERSION = 1;
+
+    // Form field IDs, shared with the draft in script.js
+    const FLOAT_FIELDS = engine.DENOMINATION_FIELDS.map(id => `float-${id}`);
+    const Z_FIELDS = ['z-gross', 'z-cash', 'z-card', ...engine.Z_VAT_RATES.map(rate => `z-vat-${rate}`)];
+
+    function exodaFieldIds(i) {
+        return [`exoda-${i}`, `exoda-desc-${i}`, `exoda-category-${i}`, `exoda-invoice-${i}`];
+    }
+
+    function batchFieldIds(i) {
+        return [`batch-channel-${i}`, `batch-terminal-${i}`, `batch-no-${i}`, `batch-${i}`];
+    }
+
+    // Totals after the fields: CSV column -> key in closing.totals
+    const TOTAL_COLUMNS = {
+        'total-tameio': 'tameio',
+        'total-exoda': 'exoda',
+        'total-cash': 'cash',
+        'total-cash-lim': 'cashLim',
+        'total-income-lim': 'incomeLim',
+        'total-delivery': 'delivery'
+    };
+
+    // Columns that are never a payment channel
+    const FIXED_COLUMNS = new Set([
+        'date', 'saved-at', 'user-name', ...engine.DENOMINATION_FIELDS, 'kermata', 'float', 'register',
+        ...FLOAT_FIELDS, ...Z_FIELDS, ...Object.keys(TOTAL_COLUMNS), 'envelope'
+    ]);
+    const NUMBERED_COLUMN = /^(exoda|exoda-desc|exoda-category|exoda-invoice|batch|batch-channel|batch-terminal|batch-no)-\d+$/;
+
+    function isIsoDate(text) {
+        if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+        const date = new Date(`${text}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === text;
+    }
+
+    function isoToDMY(date) {
+        const [year, month, day] = date.split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    // --- Export ---
+
+    // One closing as a flat map of form field IDs, then its totals
+    function closingFields(closing) {
+        const fields = {
+            date: closing.date,
+            'saved-at': closing.savedAt ? new Date(closing.savedAt).toISOString() : '',
+            'user-name': closing.name || ''
+        };
+
+        for (const id of engine.DENOMINATION_FIELDS) {
+            fields[id] = closing.counts[id] || 0;
+        }
+        fields.kermata = closing.kermata || 0;
+        for (const { id } of engine.getChannelDefs(closing)) {
+            fields[id] = closing.channels[id] || 0;
+        }
+
+        const float = closing.float || { amount: engine.DEFAULT_FLOAT, counts: null, register: '' };
+        fields.float = float.amount;
+        fields.register = float.register || '';
+        if (float.counts) {
+            engine.DENOMINATION_FIELDS.forEach((id, index) => {
+                fields[FLOAT_FIELDS[index]] = float.counts[id] || 0;
+            });
+        }
+
+        if (closing.zReport) {
+            const { gross, cash, card, vat } = closing.zReport;
+            const zValues = [gross, cash, card, ...engine.Z_VAT_RATES.map(rate => vat?.[rate])];
+            Z_FIELDS.forEach((id, index) => {
+                fields[id] = zValues[index] ?? '';
+            });
+        }
+
+        closing.exoda.forEach((exodo, index) => {
+            const [amountId, descId, categoryId, invoiceId] = exodaFieldIds(index + 1);
+            fields[amountId] = exodo.amount;
+            fields[descId] = exodo.desc || '';
+            fields[categoryId] = exodo.category || '';
+            fields[invoiceId] = exodo.invoiceNo || '';
+        });
+
+        (closing.batches || []).forEach((batch, index) => {
+            const [channelId, terminalId, noId, amountId] = batchFieldIds(index + 1);
+            fields[channelId] = batch.channel;
+            fields[terminalId] = batch.terminal;
+            fields[noId] = batch.batchNo;
+            fields[amountId] = batch.amount;
+        });
+
+        for (const [column, key] of Object.entries(TOTAL_COLUMNS)) {
+            fields[column] = closing.totals[key] ?? '';
+        }
+        fields.envelope = closing.envelope ? closing.envelope.total : '';
+
+        return fields;
+    }
+
+    // Columns covering every closing: channels in first-seen order, as many
+    // exoda and batch columns as the longest closing needs
+    function csvColumns(closings) {
+        const channelIds = [...new Set(closings.flatMap(closing => engine.getChannelDefs(closing).map(def => def.id)))];
+        const maxExoda = Math.max(0, ...closings.map(closing => closing.exoda.length));
+        const maxBatches = Math.max(0, ...closings.map(closing => (closing.batches || []).length));
+
+        const columns = ['date', 'saved-at', 'user-name', ...engine.DENOMINATION_FIELDS, 'kermata', ...channelIds];
+        columns.push('float', 'register', ...FLOAT_FIELDS, ...Z_FIELDS);
+        for (let i = 1; i <= maxExoda; i++) columns.push(...exodaFieldIds(i));
+        for (let i = 1; i <= maxBatches; i++) columns.push(...batchFieldIds(i));
+        columns.push(...Object.keys(TOTAL_COLUMNS), 'envelope');
+        return columns;
+    }
+
+    function csvCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // CSV with one row per closing, oldest first. Starts with a byte order
+    // mark so spreadsheets open the Greek text as UTF-8.
+    function toCsv(closings) {
+        const sorted = [...closings].sort((a, b) => a.date.localeCompare(b.date));
+        const columns = csvColumns(sorted);
+        const lines = [columns.join(',')];
+        for (const closing of sorted) {
+            const fields = closingFields(closing);
+            lines.push(columns.map(column => csvCell(fields[column])).join(','));
+        }
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    // Receipt photos stay in the device's database, so their ids mean nothing elsewhere
+    function withoutReceipts(closing) {
+        const stripExoda = exoda => exoda.map(({ receiptId, ...exodo }) => exodo);
+        const stripped = { ...closing, exoda: stripExoda(closing.exoda) };
+        if (closing.shifts) {
+            stripped.shifts = closing.shifts.map(shift => ({ ...shift, exoda: stripExoda(shift.exoda || []) }));
+        }
+        return stripped;
+    }
+
+    // Closings as archived, less their receipt photo ids, wrapped with the format and its version
+    function toJson(closings) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            closings: [...closings].sort((a, b) => a.date.localeCompare(b.date)).map(withoutReceipts)
+        }, null, 2);
+    }
+
+    // --- Import ---
+
+    // Rows of cells from CSV text (quoted cells may hold commas, quotes and newlines)
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const source = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    // Number in a CSV cell; empty cells are `empty`
+    function readNumber(fields, column, empty = 0) {
+        const text = String(fields[column] ?? '').trim();
+        if (text === '') return empty;
+        const number = Number(text.replace(',', '.'));
+        if (!Number.isFinite(number)) throw new Error(`μη έγκυρος αριθμός στη στήλη ${column}`);
+        return number;
+    }
+
+    function readCount(fields, column) {
+        const count = readNumber(fields, column);
+        if (!Number.isInteger(count) || count < 0) throw new Error(`μη έγκυρο πλήθος στη στήλη ${column}`);
+        return count;
+    }
+
+    // Rebuild a closing from one CSV row. Channel and expense category columns
+    // are matched against the definitions configured on this device.
+    function closingFromFields(fields, channelDefs, categoryDefs) {
+        if (!isIsoDate(fields.date)) throw new Error('μη έγκυρη ημερομηνία (ΕΕΕΕ-ΜΜ-ΗΗ)');
+
+        const counts = {};
+        for (const id of engine.DENOMINATION_FIELDS) {
+            counts[id] = readCount(fields, id);
+        }
+
+        const channels = {};
+        const defs = [];
+        for (const column of Object.keys(fields)) {
+            if (FIXED_COLUMNS.has(column) || NUMBERED_COLUMN.test(column)) continue;
+            const amount = readNumber(fields, column);
+            const def = channelDefs.find(channel => channel.id === column);
+            if (!def) {
+                if (amount !== 0) throw new Error(`άγνωστο κανάλι πληρωμής ${column}`);
+                continue;
+            }
+            const { id, label, reducesCash, incomeLim, delivery } = def;
+            defs.push({ id, label, reducesCash, incomeLim, delivery });
+            channels[id] = amount;
+        }
+
+        const exoda = [];
+        const categories = new Map();
+        for (let i = 1; exodaFieldIds(i).some(id => id in fields); i++) {
+            const [amountId, descId, categoryId, invoiceId] = exodaFieldIds(i);
+            const amount = readNumber(fields, amountId);
+            const desc = fields[descId] || '';
+            if (amount === 0 && !desc) continue;
+
+            const category = (fields[categoryId] || '').trim();
+            if (category) {
+                const def = categoryDefs.find(c => c.id === category);
+                if (!def) throw new Error(`άγνωστη κατηγορία εξόδων ${category}`);
+                categories.set(def.id, { id: def.id, label: def.label });
+            }
+            exoda.push({ amount, desc, category, invoiceNo: (fields[invoiceId] || '').trim() });
+        }
+
+        const batches = [];
+        for (let i = 1; batchFieldIds(i).some(id => id in fields); i++) {
+            const [channelId, terminalId, noId, amountId] = batchFieldIds(i);
+            const amount = readNumber(fields, amountId);
+            const batchNo = (fields[noId] || '').trim();
+            if (amount === 0 && !batchNo) continue;
+            batches.push({ channel: fields[channelId] || '', terminal: (fields[terminalId] || '').trim(), batchNo, amount });
+        }
+
+        // A counted float is the sum of its pieces, like the form computes it
+        const hasFloatCount = FLOAT_FIELDS.some(id => String(fields[id] ?? '').trim() !== '');
+        const float = { amount: readNumber(fields, 'float', engine.DEFAULT_FLOAT), counts: null, register: fields.register || '' };
+        if (hasFloatCount) {
+            float.counts = {};
+            engine.DENOMINATION_FIELDS.forEach((id, index) => {
+                float.counts[id] = readCount(fields, FLOAT_FIELDS[index]);
+            });
+            float.amount = engine.sumCounts(float.counts);
+        }
+
+        let zReport = null;
+        if (Z_FIELDS.some(id => String(fields[id] ?? '').trim() !== '')) {
+            const vat = {};
+            for (const rate of engine.Z_VAT_RATES) {
+                vat[rate] = readNumber(fields, `z-vat-${rate}`, null);
+            }
+            zReport = { gross: readNumber(fields, 'z-gross', null), cash: readNumber(fields, 'z-cash', null), card: readNumber(fields, 'z-card', null), vat };
+        }
+
+        const savedAt = fields['saved-at'] ? Date.parse(fields['saved-at']) : 0;
+        if (isNaN(savedAt)) throw new Error('μη έγκυρη τιμή στη στήλη saved-at');
+
+        const closing = {
+            date: fields.date,
+            userDate: isoToDMY(fields.date),
+            name: fields['user-name'] || '',
+            counts,
+            exoda,
+            expenseCategories: [...categories.values()],
+            channels,
+            channelDefs: defs,
+            batches,
+            zReport,
+            kermata: readNumber(fields, 'kermata'),
+            float
+        };
+        return { ...closing, ...engine.computeClosing(closing), savedAt };
+    }
+
+    function importCsv(text, channelDefs, categoryDefs) {
+        const rows = parseCsv(text);
+        if (rows.length < 2 || !rows[0].includes('date')) {
+            return { closings: [], errors: ['Το αρχείο CSV δεν έχει στήλη date ή γραμμές'] };
+        }
+
+        const [header, ...body] = rows;
+        const closings = [];
+        const errors = [];
+        body.forEach((cells, index) => {
+            const fields = {};
+            header.forEach((column, col) => {
+                fields[column.trim()] = cells[col] ?? '';
+            });
+            try {
+                closings.push(closingFromFields(fields, channelDefs, categoryDefs));
+            } catch (e) {
+                errors.push(`Γραμμή ${index + 2}: ${e.message}`);
+            }
+        });
+        return { closings, errors };
+    }
+
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof (value ?? '') === 'string';
+    const isAmountOrNull = value => value == null || isNumber(value);
+    const isCounts = counts => isObject(counts) && engine.DENOMINATION_FIELDS.every(id => {
+        const count = counts[id] ?? 0;
+        return Number.isInteger(count) && count >= 0;
+    });
+    const isDefs = defs => defs == null || (Array.isArray(defs) && defs.every(def => isObject(def) && typeof def.id === 'string' && typeof def.label === 'string'));
+
+    function validateFloat(float) {
+        return isObject(float) && isNumber(float.amount) && isAmountOrNull(float.kermata) && (float.counts == null || isCounts(float.counts));
+    }
+
+    function validateZReport(z) {
+        return isObject(z) && isAmountOrNull(z.gross) && isAmountOrNull(z.cash) && isAmountOrNull(z.card) &&
+            (z.vat == null || (isObject(z.vat) && Object.values(z.vat).every(isAmountOrNull)));
+    }
+
+    function validateEnvelope(envelope) {
+        return isObject(envelope) && isCounts(envelope.used) && isNumber(envelope.total) && isNumber(envelope.shortfall) &&
+            (envelope.dipped == null || isCounts(envelope.dipped));
+    }
+
+    // Why the fields of a closing or of one of its shifts are invalid, or null
+    function validateFields(closing) {
+        if (!isObject(closing.counts)) return 'λείπουν τα κομμάτια';
+        for (const id of engine.DENOMINATION_FIELDS) {
+            const count = closing.counts[id] ?? 0;
+            if (!Number.isInteger(count) || count < 0) return `μη έγκυρο πλήθος ${id}`;
+        }
+        if (!Array.isArray(closing.exoda) || !closing.exoda.every(e => isObject(e) && isNumber(e.amount) && isText(e.desc) && isText(e.category) && isText(e.invoiceNo))) {
+            return 'μη έγκυρα έξοδα';
+        }
+        if (!isDefs(closing.expenseCategories)) return 'μη έγκυρες κατηγορίες εξόδων';
+        if (!isObject(closing.channels) || !Object.values(closing.channels).every(isNumber)) return 'μη έγκυρα κανάλια πληρωμής';
+        if (!isDefs(closing.channelDefs)) return 'μη έγκυροι ορισμοί καναλιών';
+        if (!isNumber(closing.kermata)) return 'μη έγκυρα ΚΕΡΜΑΤΑ';
+        if (closing.float != null && !validateFloat(closing.float)) return 'μη έγκυρο αρχικό ταμείο';
+        if (closing.batches != null && !(Array.isArray(closing.batches) && closing.batches.every(b => isObject(b) && isNumber(b.amount) && isText(b.channel)))) {
+            return 'μη έγκυρα batches';
+        }
+        if (closing.zReport != null && !validateZReport(closing.zReport)) return 'μη έγκυρη αναφορά Ζ';
+        // Closings archived before the envelope was stored re-solve it in the report
+        if (closing.envelope != null && !validateEnvelope(closing.envelope)) return 'μη έγκυρος φάκελος';
+        if (closing.remainder != null && !isCounts(closing.remainder)) return 'μη έγκυρο υπόλοιπο συρταριού';
+        return null;
+    }
+
+    // Why an archived closing from a JSON file can't be stored, or null if it can
+    function validateClosing(closing) {
+        if (!isObject(closing)) return 'δεν είναι κλείσιμο';
+        if (!isIsoDate(closing.date)) return 'μη έγκυρη ημερομηνία';
+        const error = validateFields(closing);
+        if (error) return error;
+        if (closing.shifts == null) return null;
+
+        if (!Array.isArray(closing.shifts) || !closing.shifts.length) return 'μη έγκυρες βάρδιες';
+        for (const [index, shift] of closing.shifts.entries()) {
+            // The day adds up each shift's float and envelope (rollUpShifts)
+            let shiftError = !isObject(shift) ? 'δεν είναι βάρδια' : validateFields(shift);
+            if (!shiftError && !shift.float) shiftError = 'λείπει το αρχικό ταμείο';
+            if (!shiftError && !shift.envelope) shiftError = 'λείπει ο φάκελος';
+            if (shiftError) return `βάρδια ${index + 1}: ${shiftError}`;
+        }
+        return null;
+    }
+
+    // A checked closing with its totals and Z report reconciliation recomputed
+    // from the fields, as for CSV rows; a day of shifts adds up its shifts'. The
+    // envelope and remainder are what was taken out on the day, under that
+    // day's settings, and are kept as they are.
+    function recomputeTotals(closing) {
+        if (closing.shifts) {
+            const shifts = closing.shifts.map(recomputeTotals);
+            const { totals, reconciliation } = engine.rollUpShifts(shifts);
+            return { ...closing, shifts, totals, reconciliation };
+        }
+        const totals = engine.computeTotals(closing);
+        return { ...closing, totals, reconciliation: engine.reconcileZReport(closing, totals) };
+    }
+
+    function importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { closings: [], errors: ['Το αρχείο δεν είναι έγκυρο JSON'] };
+        }
+        if (!isObject(data) || data.format !== EXPORT_FORMAT || !Array.isArray(data.closings)) {
+            return { closings: [], errors: ['Το αρχείο δεν είναι εξαγωγή ιστορικού'] };
+        }
+        if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+            return { closings: [], errors: ['Το αρχείο είναι από νεότερη έκδοση της εφαρμογής'] };
+        }
+
+        const closings = [];
+        const errors = [];
+        data.closings.forEach((closing, index) => {
+            const error = validateClosing(closing);
+            if (error) {
+                const date = isObject(closing) && typeof closing.date === 'string' ? ` (${closing.date})` : '';
+                errors.push(`Κλείσιμο ${index + 1}${date}: ${error}`);
+            } else {
+                closings.push(recomputeTotals(closing));
+            }
+        });
+        return { closings, errors };
+    }
+
+    // Closings from an exported file, JSON or CSV: { closings, errors }.
+    // CSV rows take their channel and category definitions from the ones given.
+    function parseImport(text, channelDefs, categoryDefs = []) {
+        return /^\s*\{/.test(text) ? importJson(text) : importCsv(text, channelDefs, categoryDefs);
+    }
+
+    // Plan merging imported closings into the archive by date. Duplicate dates
+    // in the file collapse to the most recently saved copy; a date already in
+    // the archive is replaced only by a copy saved later, so re-importing the
+    // same file changes nothing. Returns the closings to store and the dates
+    // added, replaced and kept.
+    function mergeClosings(existing, incoming) {
+        const latest = new Map();
+        for (const closing of incoming) {
+            const previous = latest.get(closing.date);
+            if (!previous || (closing.savedAt || 0) >= (previous.savedAt || 0)) {
+                latest.set(closing.date, closing);
+            }
+        }
+
+        const archived = new Map(existing.map(closing => [closing.date, closing]));
+        const plan = { save: [], added: [], replaced: [], kept: [], duplicates: incoming.length - latest.size };
+        for (const closing of latest.values()) {
+            const current = archived.get(closing.date);
+            if (!current) {
+                plan.added.push(closing.date);
+                plan.save.push(closing);
+            } else if ((closing.savedAt || 0) > (current.savedAt || 0)) {
+                plan.replaced.push(closing.date);
+                plan.save.push(closing);
+            } else {
+                plan.kept.push(closing.date);
+            }
+        }
+        return plan;
+    }
+
+    return {
+        EXPORT_FORMAT,
+        EXPORT_VERSION,
+        FLOAT_FIELDS,
+        Z_FIELDS,
+        exodaFieldIds,
+        batchFieldIds,
+        closingFields,
+        toCsv,
+        toJson,
+        parseCsv,
+        parseImport,
+        validateClosing,
+        mergeClosings
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TameioTransfer;
+}